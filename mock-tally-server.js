@@ -0,0 +1,115 @@
+// mock-tally-server.js
+// A stand-in for Tally's XML HTTP interface, for developing and testing
+// "Fetch from Tally" and tally-proxy-server.js without a running Tally.
+//
+//   node mock-tally-server.js
+//
+// Answers Voucher Register "Export Data" requests from a few canned vouchers,
+// honouring the voucher type and date range in the request.
+const http = require('http');
+
+const MOCK_TALLY_PORT = parseInt(process.env.MOCK_TALLY_PORT, 10) || 9000;
+const COMPANY_NAME = 'Mock Traders Pvt Ltd';
+
+const VOUCHERS = [
+    {
+        type: 'Sales', number: 'S-101', date: '20250709', party: 'Shree Ram Stores', gstin: '24ABCDE1234F1Z5',
+        items: [
+            { name: 'Basmati Rice 5kg', qty: '2 BAG', rate: '500.00/BAG', amount: '1000.00' },
+            { name: 'Sugar', qty: '5 KGS', rate: '45.00/KGS', amount: '225.00' },
+        ],
+        ledgers: [{ name: 'Output CGST @2.5%', amount: '30.63' }, { name: 'Output SGST @2.5%', amount: '30.63' }, { name: 'Round Off', amount: '-0.26' }],
+    },
+    {
+        type: 'Sales', number: 'S-102', date: '20250712', party: 'Cash',
+        items: [{ name: 'Toor Dal', qty: '3 KGS', rate: '120.00/KGS', amount: '360.00' }],
+        ledgers: [],
+    },
+    {
+        type: 'Delivery Note', number: 'DN-7', date: '20250710', party: 'Ganesh Kirana',
+        items: [{ name: 'Toor Dal', qty: '10 KGS', rate: '120.00/KGS', amount: '1200.00' }],
+        ledgers: [],
+    },
+];
+
+const escapeXml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Reads the text of the first <TAG> in the request, or '' if absent
+const readTag = (xml, tag) => (xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`)) || [])[1]?.trim() || '';
+
+function voucherToXml(v) {
+    const itemsTotal = v.items.reduce((sum, i) => sum + parseFloat(i.amount), 0);
+    const total = v.ledgers.reduce((sum, l) => sum + parseFloat(l.amount), itemsTotal);
+    const inventoryTag = v.type === 'Sales' ? 'ALLINVENTORYENTRIES.LIST' : 'INVENTORYENTRIESOUT.LIST';
+    return `
+  <TALLYMESSAGE>
+   <VOUCHER VCHTYPE="${escapeXml(v.type)}" ACTION="Create">
+    <DATE>${v.date}</DATE>
+    <VOUCHERTYPENAME>${escapeXml(v.type)}</VOUCHERTYPENAME>
+    <VOUCHERNUMBER>${escapeXml(v.number)}</VOUCHERNUMBER>
+    <PARTYNAME>${escapeXml(v.party)}</PARTYNAME>
+    ${v.gstin ? `<PARTYGSTIN>${v.gstin}</PARTYGSTIN>` : ''}
+    <ENTEREDBY>mock</ENTEREDBY>
+${v.items.map(i => `    <${inventoryTag}>
+     <STOCKITEMNAME>${escapeXml(i.name)}</STOCKITEMNAME>
+     <RATE>${i.rate}</RATE>
+     <AMOUNT>${i.amount}</AMOUNT>
+     <ACTUALQTY> ${i.qty}</ACTUALQTY>
+     <BILLEDQTY> ${i.qty}</BILLEDQTY>
+    </${inventoryTag}>`).join('\n')}
+    <LEDGERENTRIES.LIST>
+     <LEDGERNAME>${escapeXml(v.party)}</LEDGERNAME>
+     <ISPARTYLEDGER>Yes</ISPARTYLEDGER>
+     <AMOUNT>${(-total).toFixed(2)}</AMOUNT>
+    </LEDGERENTRIES.LIST>
+${v.ledgers.map(l => `    <LEDGERENTRIES.LIST>
+     <LEDGERNAME>${escapeXml(l.name)}</LEDGERNAME>
+     <ISPARTYLEDGER>No</ISPARTYLEDGER>
+     <AMOUNT>${l.amount}</AMOUNT>
+    </LEDGERENTRIES.LIST>`).join('\n')}
+   </VOUCHER>
+  </TALLYMESSAGE>`;
+}
+
+function exportVouchers(requestXml) {
+    const fromDate = readTag(requestXml, 'SVFROMDATE');
+    const toDate = readTag(requestXml, 'SVTODATE');
+    const voucherType = readTag(requestXml, 'VOUCHERTYPENAME').toLowerCase();
+
+    const matching = VOUCHERS.filter(v =>
+        (!voucherType || v.type.toLowerCase() === voucherType) &&
+        (!fromDate || v.date >= fromDate) &&
+        (!toDate || v.date <= toDate)
+    );
+    console.log(`Export: type="${voucherType || '*'}" from=${fromDate || '*'} to=${toDate || '*'} -> ${matching.length} voucher(s)`);
+
+    return `<ENVELOPE>
+ <HEADER><TALLYREQUEST>Import Data</TALLYREQUEST></HEADER>
+ <BODY><IMPORTDATA>
+  <REQUESTDESC><REPORTNAME>Vouchers</REPORTNAME><STATICVARIABLES><SVCURRENTCOMPANY>${COMPANY_NAME}</SVCURRENTCOMPANY></STATICVARIABLES></REQUESTDESC>
+  <REQUESTDATA>${matching.map(voucherToXml).join('')}
+  </REQUESTDATA>
+ </IMPORTDATA></BODY>
+</ENVELOPE>`;
+}
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+        const requestXml = Buffer.concat(chunks).toString('utf8');
+        res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+
+        // Like Tally, report unsupported requests as a LINEERROR with HTTP 200
+        if (readTag(requestXml, 'TALLYREQUEST') !== 'Export Data' || readTag(requestXml, 'REPORTNAME') !== 'Voucher Register') {
+            res.end('<ENVELOPE><HEADER><STATUS>0</STATUS></HEADER><BODY><DATA><LINEERROR>Could not find Report \'' +
+                escapeXml(readTag(requestXml, 'REPORTNAME')) + '\'!</LINEERROR></DATA></BODY></ENVELOPE>');
+            return;
+        }
+        res.end(exportVouchers(requestXml));
+    });
+});
+
+server.listen(MOCK_TALLY_PORT, () => {
+    console.log(`Mock Tally listening on port ${MOCK_TALLY_PORT}`);
+});
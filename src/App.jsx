@@ -1,49 +1,51 @@
 // 📁 File: src/App.jsx
 
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import Controls from './Controls'; // Assuming Controls.jsx exists and handles settings
 import PrintPreview from './PrintPreview'; // Assuming PrintPreview.jsx exists
+import EscPosPreview from './EscPosPreview';
+import VoucherList from './VoucherList';
+import TallyFetchPanel from './TallyFetchPanel';
+import DiagnosticsPanel from './DiagnosticsPanel';
 import parseTallyXML from './parseTallyXML'; // Assuming parseTallyXML.js exists
 import generateEscPosCommands from './generateEscPosCommands'; // IMPORT THE EXTERNAL ESC/POS GENERATOR
+import { fetchTallyXML } from './tallyClient';
+import { decodeXmlBuffer } from './utils/xmlEncoding';
+import { withCompanyProfile } from './utils/companyProfile';
+import { DEFAULT_SETTINGS, mergeWithDefaults } from './defaultSettings';
+import { resolveCopy } from './utils/receiptTemplates';
+
+// Summarises voucher diagnostics for the status line
+function describeProblems(vouchers) {
+  const withErrors = vouchers.filter(v => v.diagnostics.some(d => d.severity === 'error')).length;
+  const withWarnings = vouchers.filter(v => v.diagnostics.length > 0).length - withErrors;
+  if (withErrors === 0 && withWarnings === 0) return 'Ready to print.';
+  return `${withErrors} with errors, ${withWarnings} with warnings; see Diagnostics.`;
+}
 
 export default function App() {
-  const [xmlData, setXmlData] = useState(null);
+  const [vouchers, setVouchers] = useState([]);
+  const [previewId, setPreviewId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [fileDiagnostics, setFileDiagnostics] = useState([]); // Problems with the file as a whole
   const [status, setStatus] = useState('Ready. Please select a Tally XML file.');
   const [copyCount, setCopyCount] = useState(1);
   const [settings, setSettings] = useState(() => {
     // Initialize settings from localStorage or defaults
     try {
       const saved = localStorage.getItem('tallyPrintSettings');
-      return saved ? JSON.parse(saved) : {
-        fontFamily: 'monospace',
-        fontSize: 12,
-        lineHeight: 1.4,
-        headerAlignment: 'center',
-        logoUrl: '', // Ensure logoUrl is part of settings
-        lineSeparator: '-',
-        zoom: 1.0,
-        sectionStyles: {
-          orderInfo: { labelBold: false, valueBold: true }
-        }
-      };
+      return saved ? mergeWithDefaults(JSON.parse(saved)) : DEFAULT_SETTINGS;
     } catch (e) {
       console.error("Failed to parse settings from localStorage, using defaults:", e);
-      return {
-        fontFamily: 'monospace',
-        fontSize: 12,
-        lineHeight: 1.4,
-        headerAlignment: 'center',
-        logoUrl: '',
-        lineSeparator: '-',
-        zoom: 1.0,
-        sectionStyles: {
-          orderInfo: { labelBold: false, valueBold: true }
-        }
-      };
+      return DEFAULT_SETTINGS;
     }
   });
   const [isDragging, setIsDragging] = useState(false); // State for drag-and-drop visual feedback
+  const [sourceMode, setSourceMode] = useState('file'); // 'file' upload or 'tally' fetch
+  const [isFetching, setIsFetching] = useState(false);
   const [showCosmeticControls, setShowCosmeticControls] = useState(false); // State for toggle
+  const [previewMode, setPreviewMode] = useState('layout'); // 'layout' (HTML) or 'escpos' (decoded print commands)
+  const [previewCopyIndex, setPreviewCopyIndex] = useState(0); // Which copy's title the preview shows
 
   const printRef = useRef(null); // Ref for PrintPreview component
   const fileInputRef = useRef(null);
@@ -67,20 +69,42 @@ export default function App() {
   }, [settings, copyCount]);
 
 
+  // The company profile fills whatever company details the export lacks,
+  // so the preview and the printout share the same merged header
+  const printableVouchers = useMemo(
+    () => vouchers.map(v => withCompanyProfile(v, settings.companyProfile)),
+    [vouchers, settings.companyProfile]
+  );
+  const previewVoucher = printableVouchers.find(v => v.id === previewId) || null;
+  const previewCopy = resolveCopy(settings, Math.min(previewCopyIndex, copyCount - 1));
+
+  // Replaces the loaded vouchers with a freshly parsed list
+  const loadVouchers = useCallback((parsedVouchers, diagnostics = []) => {
+    setFileDiagnostics(diagnostics);
+    setVouchers(parsedVouchers || []);
+    setPreviewId(parsedVouchers?.length ? parsedVouchers[0].id : null);
+    setSelectedIds(parsedVouchers?.length === 1 ? [parsedVouchers[0].id] : []);
+  }, []);
+
   // WebUSB Print Handler
-  const handleWebUSBPrint = useCallback(async () => {
-    if (!xmlData) {
-      alert("Nothing to print. Please load an XML file first.");
+  // Prints every given voucher (copyCount times each) in a single USB session
+  const handleWebUSBPrint = useCallback(async (vouchersToPrint) => {
+    if (!vouchersToPrint || vouchersToPrint.length === 0) {
+      alert("Nothing to print. Please load an XML file and select at least one voucher.");
       return;
     }
     if (!('usb' in navigator)) {
       alert("WebUSB not supported in this browser.");
       return;
     }
-
-    setStatus("[🖨] Generating print commands...");
-    // Call the external generateEscPosCommands function
-    const escPosCommands = await generateEscPosCommands(xmlData, settings);
+    const blocked = vouchersToPrint.filter(v => v.diagnostics?.some(d => d.severity === 'error'));
+    if (settings.blockPrintOnErrors && blocked.length > 0) {
+      const numbers = blocked.map(v => v.order.number || `#${v.id + 1}`).join(', ');
+      const message = `Printing blocked: voucher(s) ${numbers} have errors. See Diagnostics, or allow printing with errors in Print Controls.`;
+      setStatus(message);
+      alert(message);
+      return;
+    }
 
     let device;
     try {
@@ -100,14 +124,22 @@ export default function App() {
       const endpoint = device.configuration.interfaces[0].alternate.endpoints.find(e => e.direction === 'out');
       if (!endpoint) throw new Error("No OUT endpoint found on the device.");
 
-      for (let i = 0; i < copyCount; i++) {
-        setStatus(`[🖨] Printing copy ${i + 1} of ${copyCount}...`);
-        console.log(`[🖨] Printing copy ${i + 1} of ${copyCount}`);
-        await device.transferOut(endpoint.endpointNumber, escPosCommands);
+      // The device is requested first, while the click still counts as user
+      // activation; the commands are generated once per voucher and copy,
+      // since each copy can have its own title ("Original for Recipient", ...)
+      for (const [voucherIndex, voucher] of vouchersToPrint.entries()) {
+        for (let i = 0; i < copyCount; i++) {
+          const progress = `voucher ${voucher.order.number || voucherIndex + 1} (${voucherIndex + 1} of ${vouchersToPrint.length}), copy ${i + 1} of ${copyCount}`;
+          setStatus(`[🖨] Printing ${progress}...`);
+          console.log(`[🖨] Printing ${progress}`);
+          const escPosCommands = await generateEscPosCommands(voucher, settings, resolveCopy(settings, i));
+          await device.transferOut(endpoint.endpointNumber, escPosCommands);
+        }
       }
 
-      setStatus(`✅ Printed ${copyCount} copies successfully.`);
-      alert(`✅ Printed ${copyCount} copies successfully.`);
+      const summary = `✅ Printed ${vouchersToPrint.length} voucher(s) × ${copyCount} copies successfully.`;
+      setStatus(summary);
+      alert(summary);
     } catch (err) {
       console.error("[❌ WebUSB Error] ", err);
       let errorMessage = "Printing failed: " + err.message;
@@ -131,7 +163,13 @@ export default function App() {
         }
       }
     }
-  }, [copyCount, xmlData, settings]);
+  }, [copyCount, settings]);
+
+  // Prints the ticked vouchers, or the one being previewed if none are ticked
+  const handlePrintSelected = useCallback(() => {
+    const selected = printableVouchers.filter(v => selectedIds.includes(v.id));
+    handleWebUSBPrint(selected.length > 0 ? selected : (previewVoucher ? [previewVoucher] : []));
+  }, [printableVouchers, selectedIds, previewVoucher, handleWebUSBPrint]);
 
   // Ctrl+P or Cmd+P shortcut for printing
   useEffect(() => {
@@ -140,43 +178,79 @@ export default function App() {
       const isPrintShortcut = (isMac && e.metaKey) || (!isMac && e.ctrlKey);
       if (isPrintShortcut && e.key.toLowerCase() === 'p') {
         e.preventDefault();
-        handleWebUSBPrint();
+        handlePrintSelected();
       }
     };
     window.addEventListener('keydown', handleKeydown);
     return () => window.removeEventListener('keydown', handleKeydown);
-  }, [handleWebUSBPrint]);
+  }, [handlePrintSelected]);
+
+  // Reads an uploaded or dropped XML file. Tally often writes exports as
+  // UTF-16, so the raw bytes are decoded according to the BOM/declaration.
+  const readXmlFile = useCallback((file, description) => {
+    setStatus(`Reading ${description} ${file.name}...`);
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const buffer = e.target.result;
+      if (!buffer || buffer.byteLength === 0) {
+        setStatus(`Error: ${description} ${file.name} is empty or unreadable.`);
+        loadVouchers(null);
+        return;
+      }
+      const { text, encoding } = decodeXmlBuffer(buffer);
+      const { vouchers: parsedVouchers, diagnostics } = parseTallyXML(text);
+      loadVouchers(parsedVouchers, diagnostics);
+      if (parsedVouchers.length > 0) {
+        setStatus(`Successfully parsed ${parsedVouchers.length} voucher(s) from ${description} ${file.name} (${encoding.toUpperCase()}). ${describeProblems(parsedVouchers)}`);
+      } else {
+        setStatus(`Error: Failed to parse ${description} ${file.name} (read as ${encoding.toUpperCase()}). See Diagnostics for details.`);
+      }
+    };
+    reader.onerror = (e) => {
+      loadVouchers(null);
+      setStatus(`Error reading ${description} ${file.name}: ${e.target.error.name} - ${e.target.error.message}`);
+    };
+    reader.readAsArrayBuffer(file);
+  }, [loadVouchers]);
 
   // File Input Handler
   const handleFileChange = (event) => {
     const file = event.target.files[0];
     if (file) {
-      setStatus(`Reading ${file.name}...`);
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const content = e.target.result;
-        if (!content || content.length === 0) {
-            setStatus(`Error: File ${file.name} is empty or unreadable.`);
-            setXmlData(null);
-            return;
-        }
-        const data = parseTallyXML(content);
-        if (data) {
-          setXmlData(data);
-          setStatus(`Successfully parsed ${file.name}. Ready to print.`);
-        } else {
-          setXmlData(null);
-          setStatus(`Error: Failed to parse ${file.name}. Please check the XML format or encoding.`);
-        }
-      };
-      reader.onerror = (e) => {
-        setXmlData(null);
-        setStatus(`Error reading file: ${e.target.error.name} - ${e.target.error.message}`);
-      };
-      reader.readAsText(file);
+      readXmlFile(file, 'file');
     }
   };
 
+  // Fetch from Tally Handler
+  const handleTallyFetch = useCallback(async (query) => {
+    const { host, port } = settings.tallyConnection;
+    setIsFetching(true);
+    setStatus(`Fetching vouchers from Tally at ${host}:${port}...`);
+    try {
+      const xmlString = await fetchTallyXML(settings.tallyConnection, query);
+      const { vouchers: parsedVouchers, diagnostics } = parseTallyXML(xmlString);
+      if (parsedVouchers.length === 0) {
+        loadVouchers(null, diagnostics);
+        setStatus('No vouchers returned by Tally for this request. See Diagnostics for details.');
+        return;
+      }
+      // Tally's Voucher Register can't filter by number, so narrow it down here
+      const voucherNumber = query.voucherNumber.trim().toLowerCase();
+      const matching = voucherNumber
+        ? parsedVouchers.filter(v => v.order.number.toLowerCase() === voucherNumber)
+        : parsedVouchers;
+      loadVouchers(matching, diagnostics);
+      setStatus(matching.length > 0
+        ? `Fetched ${matching.length} voucher(s) from Tally. ${describeProblems(matching)}`
+        : `No voucher numbered "${query.voucherNumber}" in the selected range.`);
+    } catch (err) {
+      console.error('Tally fetch error:', err);
+      setStatus(`Error fetching from Tally: ${err.message}`);
+    } finally {
+      setIsFetching(false);
+    }
+  }, [settings.tallyConnection, loadVouchers]);
+
   // Drag and Drop Logic
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -199,33 +273,12 @@ export default function App() {
     if (files && files.length > 0) {
       const file = files[0];
       if (file.type === 'application/xml' || file.name.toLowerCase().endsWith('.xml')) {
-        setStatus(`Reading dropped file: ${file.name}...`);
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          const rawXmlString = event.target.result;
-          if (!rawXmlString || rawXmlString.length === 0) {
-            setStatus(`Error: Dropped file ${file.name} is empty or unreadable.`);
-            setXmlData(null);
-            return;
-          }
-          const parsedData = parseTallyXML(rawXmlString);
-          if (parsedData) {
-            setXmlData(parsedData);
-            setStatus(`Successfully parsed dropped file: ${file.name}. Ready to print.`);
-          } else {
-            setStatus(`Error: Failed to parse dropped XML file: ${file.name}. Please check the XML format or encoding.`);
-            setXmlData(null);
-          }
-        };
-        reader.onerror = () => {
-          setStatus(`Error reading dropped file: ${file.name}`);
-        };
-        reader.readAsText(file);
+        readXmlFile(file, 'dropped file');
       } else {
         setStatus('Please drop a valid XML file (.xml).');
       }
     }
-  }, []);
+  }, [readXmlFile]);
 
 
   return (
@@ -236,35 +289,70 @@ export default function App() {
           <p className="text-gray-600">Upload a Sales Order XML and preview thermal print</p>
         </header>
 
-        {/* Container 1: Drag and Drop + File Upload */}
+        {/* Container 1: Drag and Drop + File Upload, or Fetch from Tally */}
         <div className="bg-white p-6 rounded-lg shadow-md mb-8">
-          <div
-            onDragOver={handleDragOver}
-            onDragLeave={handleDragLeave}
-            onDrop={handleDrop}
-            className={`
-              mb-6 p-8 border-2 border-dashed rounded-lg text-center
-              transition-all duration-300 ease-in-out
-              ${isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-gray-50'}
-            `}
-          >
-            <p className="text-gray-600 text-lg font-semibold">
-              Drag & Drop your XML file here
-            </p>
-            <p className="text-sm text-gray-500 mt-2">
-              (or use the button below)
-            </p>
+          <div className="flex justify-center gap-2 mb-6">
+            {[['file', 'Upload XML File'], ['tally', 'Fetch from Tally']].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => setSourceMode(mode)}
+                className={`px-4 py-1 rounded ${sourceMode === mode ? 'bg-gray-800 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              >
+                {label}
+              </button>
+            ))}
           </div>
 
+          {sourceMode === 'tally' ? (
+            <TallyFetchPanel
+              connection={settings.tallyConnection}
+              onConnectionChange={(tallyConnection) => setSettings(prev => ({ ...prev, tallyConnection }))}
+              onFetch={handleTallyFetch}
+              isFetching={isFetching}
+            />
+          ) : (
+            <div
+              onDragOver={handleDragOver}
+              onDragLeave={handleDragLeave}
+              onDrop={handleDrop}
+              className={`
+                mb-6 p-8 border-2 border-dashed rounded-lg text-center
+                transition-all duration-300 ease-in-out
+                ${isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-gray-50'}
+              `}
+            >
+              <p className="text-gray-600 text-lg font-semibold">
+                Drag & Drop your XML file here
+              </p>
+              <p className="text-sm text-gray-500 mt-2">
+                (or use the button below)
+              </p>
+            </div>
+          )}
+
           <div className="text-center">
-            <input type="file" accept=".xml" onChange={handleFileChange} ref={fileInputRef} className="hidden" />
-            <button onClick={() => fileInputRef.current.click()} className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded">
-              Upload XML File
-            </button>
+            {sourceMode === 'file' && (
+              <>
+                <input type="file" accept=".xml" onChange={handleFileChange} ref={fileInputRef} className="hidden" />
+                <button onClick={() => fileInputRef.current.click()} className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded">
+                  Upload XML File
+                </button>
+              </>
+            )}
             <p className="mt-2 text-gray-700">{status}</p>
           </div>
         </div>
 
+        <DiagnosticsPanel fileDiagnostics={fileDiagnostics} vouchers={vouchers} onPreview={setPreviewId} />
+
+        <VoucherList
+          vouchers={vouchers}
+          previewId={previewId}
+          selectedIds={selectedIds}
+          onPreview={setPreviewId}
+          onSelectionChange={setSelectedIds}
+        />
+
         {/* Grid for Controls (Left) and Preview (Right) */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Container 3: Print Controls & Cosmetic Controls */}
@@ -285,12 +373,29 @@ export default function App() {
               />
 
               <button
-                onClick={handleWebUSBPrint}
+                onClick={handlePrintSelected}
                 className="mt-4 w-full bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded"
               >
-                Print with WebUSB
+                {selectedIds.length > 0 ? `Print Selected (${selectedIds.length}) with WebUSB` : 'Print Previewed with WebUSB'}
               </button>
+              {vouchers.length > 1 && (
+                <button
+                  onClick={() => handleWebUSBPrint(printableVouchers)}
+                  className="mt-2 w-full bg-green-700 hover:bg-green-800 text-white font-bold py-2 px-4 rounded"
+                >
+                  Print All {vouchers.length} Vouchers
+                </button>
+              )}
               <p className="text-sm text-gray-500 text-center mt-2">Shortcut: Ctrl + P / Cmd + P</p>
+              <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={settings.blockPrintOnErrors}
+                  onChange={(e) => setSettings(prev => ({ ...prev, blockPrintOnErrors: e.target.checked }))}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                Block printing of vouchers with errors
+              </label>
             </div>
 
             {/* Cosmetic Controls (Toggleable) */}
@@ -308,7 +413,35 @@ export default function App() {
 
           {/* Container 2: Print Preview */}
           <div>
-            <PrintPreview data={xmlData} settings={settings} printRef={printRef} />
+            <div className="flex flex-wrap gap-2 mb-2">
+              {[['layout', 'Preview'], ['escpos', 'True Print Preview']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => setPreviewMode(mode)}
+                  className={`px-3 py-1 rounded-md text-sm font-medium ${previewMode === mode ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                >
+                  {label}
+                </button>
+              ))}
+              {settings.copyLabels.enabled && (
+                <select
+                  value={previewCopyIndex}
+                  onChange={(e) => setPreviewCopyIndex(Number(e.target.value))}
+                  className="ml-auto px-2 py-1 border border-gray-300 rounded-md text-sm"
+                >
+                  {Array.from({ length: copyCount }, (_, i) => (
+                    <option key={i} value={i}>
+                      Copy {i + 1}{resolveCopy(settings, i) ? `: ${resolveCopy(settings, i).title}` : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+            {previewMode === 'escpos' ? (
+              <EscPosPreview data={previewVoucher} settings={settings} copy={previewCopy} />
+            ) : (
+              <PrintPreview data={previewVoucher} settings={settings} copy={previewCopy} printRef={printRef} />
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,45 @@
+// src/Barcode.jsx
+
+import React, { useEffect, useRef, useState } from 'react';
+import JsBarcode from 'jsbarcode';
+import { BARCODE_SYMBOLOGIES, barcodeText } from './utils/barcode';
+
+/**
+ * Shows the voucher number as a barcode, drawn with the same symbology, bar
+ * width, height and HRI position the printer is sent.
+ */
+export default function Barcode({ value, barcode }) {
+  const svgRef = useRef(null);
+  const [failed, setFailed] = useState(false);
+  const text = barcodeText(value, barcode.symbology);
+
+  // Redrawn, and the failure cleared, whenever the number or the options change
+  useEffect(() => {
+    if (!text) return;
+    try {
+      JsBarcode(svgRef.current, text, {
+        format: BARCODE_SYMBOLOGIES[barcode.symbology].jsBarcodeFormat,
+        width: barcode.width,
+        height: barcode.height,
+        displayValue: barcode.hriPosition !== 'none',
+        // JsBarcode draws the text on one side only, so 'both' shows it below
+        textPosition: barcode.hriPosition === 'above' ? 'top' : 'bottom',
+        fontSize: 12,
+        margin: 0
+      });
+      setFailed(false);
+    } catch (err) {
+      console.error('Barcode could not be rendered:', err);
+      setFailed(true);
+    }
+  }, [text, barcode.symbology, barcode.width, barcode.height, barcode.hriPosition]);
+
+  // The svg stays mounted while hidden, so a later valid number or setting can draw into it again
+  const hidden = !text || failed;
+  return (
+    <>
+      {hidden && <p className="text-xs text-red-600">Voucher number can't be shown as a {barcode.symbology} barcode.</p>}
+      <svg ref={svgRef} className={`mx-auto max-w-full ${hidden ? 'hidden' : ''}`} />
+    </>
+  );
+}
@@ -0,0 +1,57 @@
+// src/BarcodeControls.jsx
+
+import React from 'react';
+import { BARCODE_SYMBOLOGIES } from './utils/barcode';
+
+export default function BarcodeControls({ barcode, onChange }) {
+  const update = (field, value) => {
+    onChange({ ...barcode, [field]: value });
+  };
+
+  const inputClass = 'mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm';
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">Voucher Number Barcode</h4>
+
+      <label className="flex items-center gap-2 mt-2">
+        <input
+          type="checkbox"
+          checked={barcode.enabled}
+          onChange={e => update('enabled', e.target.checked)}
+          className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+        />
+        Print voucher number as a barcode
+      </label>
+      <p className="text-xs text-gray-500 mt-1">Move it up or down the receipt in the Receipt Template section.</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Symbology</label>
+          <select value={barcode.symbology} onChange={e => update('symbology', e.target.value)} disabled={!barcode.enabled} className={inputClass}>
+            {Object.entries(BARCODE_SYMBOLOGIES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Height (dots)</label>
+          <input type="number" min="1" max="255" value={barcode.height} onChange={e => update('height', parseInt(e.target.value) || 1)} disabled={!barcode.enabled} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Bar Width (2-6)</label>
+          <input type="number" min="2" max="6" value={barcode.width} onChange={e => update('width', parseInt(e.target.value) || 2)} disabled={!barcode.enabled} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Text (HRI) Position</label>
+          <select value={barcode.hriPosition} onChange={e => update('hriPosition', e.target.value)} disabled={!barcode.enabled} className={inputClass}>
+            <option value="none">None</option>
+            <option value="above">Above</option>
+            <option value="below">Below</option>
+            <option value="both">Above and below</option>
+          </select>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+// src/CompanyProfileControls.jsx
+
+import React from 'react';
+
+const FIELDS = [
+  { name: 'name', label: 'Company Name' },
+  { name: 'gstin', label: 'GSTIN' },
+  { name: 'state', label: 'State' },
+  { name: 'pincode', label: 'Pincode' },
+  { name: 'phone', label: 'Phone' },
+  { name: 'email', label: 'Email' },
+];
+
+export default function CompanyProfileControls({ profile, onChange }) {
+  const update = (field, value) => {
+    onChange({ ...profile, [field]: value });
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">Company Profile</h4>
+      <p className="text-xs text-gray-500 mt-1">Used only where the Tally export doesn't provide the detail.</p>
+
+      <label className="block text-sm font-medium text-gray-700 mt-2">Address</label>
+      <textarea
+        rows="3"
+        value={profile.address}
+        onChange={e => update('address', e.target.value)}
+        className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm"
+      />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+        {FIELDS.map(field => (
+          <div key={field.name}>
+            <label className="block text-sm font-medium text-gray-700">{field.label}</label>
+            <input
+              type="text"
+              value={profile[field.name]}
+              onChange={e => update(field.name, e.target.value)}
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm"
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -2,6 +2,15 @@
 
 import React from 'react';
 import OrderInfoControls from './OrderInfoControls';
+import CompanyProfileControls from './CompanyProfileControls';
+import BarcodeControls from './BarcodeControls';
+import CopyLabelControls from './CopyLabelControls';
+import LogoControls from './LogoControls';
+import PrinterProfileControls from './PrinterProfileControls';
+import TemplateControls from './TemplateControls';
+import UpiPaymentControls from './UpiPaymentControls';
+import VoucherTypeControls from './VoucherTypeControls';
+import { DEFAULT_SETTINGS } from './defaultSettings';
 
 export default function Controls({ settings, onSettingsChange }) {
   const handleChange = (e) => {
@@ -9,28 +18,41 @@ export default function Controls({ settings, onSettingsChange }) {
     onSettingsChange(prev => ({ ...prev, [name]: value }));
   };
 
+  const handleCheckboxChange = (e) => {
+    const { name, checked } = e.target;
+    onSettingsChange(prev => ({ ...prev, [name]: checked }));
+  };
+
   const handleReset = () => {
-    onSettingsChange({
-      fontFamily: 'monospace',
-      fontSize: 12,
-      lineHeight: 1.4,
-      headerAlignment: 'center',
-      logoUrl: '',
-      lineSeparator: '-',
-      zoom: 1.0,
-      sectionStyles: {
-        orderInfo: {
-          labelBold: false,
-          valueBold: true
-        }
-      }
-    });
+    // Keep the Tally connection, company profile, UPI payee, printer, saved templates and copy titles; they aren't print cosmetics
+    onSettingsChange(prev => ({
+      ...DEFAULT_SETTINGS,
+      tallyConnection: prev.tallyConnection,
+      companyProfile: prev.companyProfile,
+      upiPayment: prev.upiPayment,
+      printerProfileId: prev.printerProfileId,
+      customPrinterProfile: prev.customPrinterProfile,
+      printerCodePage: prev.printerCodePage,
+      receiptTemplates: prev.receiptTemplates,
+      activeTemplateId: prev.activeTemplateId,
+      copyLabels: prev.copyLabels
+    }));
   };
 
   return (
     <div className="p-4 bg-white shadow-lg rounded-lg space-y-4">
       <h3 className="text-xl font-bold border-b pb-2">Cosmetic Controls</h3>
 
+      {/* Printer Profile Block */}
+      <PrinterProfileControls
+        profileId={settings.printerProfileId}
+        customProfile={settings.customPrinterProfile}
+        codePage={settings.printerCodePage}
+        onProfileIdChange={(printerProfileId) => onSettingsChange(prev => ({ ...prev, printerProfileId }))}
+        onCustomProfileChange={(customPrinterProfile) => onSettingsChange(prev => ({ ...prev, customPrinterProfile }))}
+        onCodePageChange={(printerCodePage) => onSettingsChange(prev => ({ ...prev, printerCodePage }))}
+      />
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         <div>
           <label className="block text-sm font-medium text-gray-700">Font Family</label>
@@ -60,15 +82,81 @@ export default function Controls({ settings, onSettingsChange }) {
         </div>
       </div>
 
-      <div>
-        <label className="block text-sm font-medium text-gray-700">Logo Image URL</label>
-        <input type="text" name="logoUrl" placeholder="https://.../logo.png" value={settings.logoUrl} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm" />
-      </div>
       <div>
         <label className="block text-sm font-medium text-gray-700">Line Separator Character</label>
         <input type="text" maxLength="1" name="lineSeparator" value={settings.lineSeparator} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm" />
       </div>
 
+      <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <h4 className="text-md font-semibold border-b pb-1">Amount in Words</h4>
+        <label className="flex items-center gap-2 mt-2">
+          <input
+            type="checkbox"
+            name="showAmountInWords"
+            checked={settings.showAmountInWords}
+            onChange={handleCheckboxChange}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Show Amount in Words
+        </label>
+        <label className="block text-sm font-medium text-gray-700 mt-2">Letter Case</label>
+        <select name="amountInWordsCase" value={settings.amountInWordsCase} onChange={handleChange} disabled={!settings.showAmountInWords} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+          <option value="title">Title Case (One Hundred Rupees Only)</option>
+          <option value="upper">Upper Case (ONE HUNDRED RUPEES ONLY)</option>
+        </select>
+      </div>
+
+      <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <h4 className="text-md font-semibold border-b pb-1">Indic and Other Non-Latin Text</h4>
+        <label className="block text-sm font-medium text-gray-700 mt-2">Print as Image</label>
+        <select name="rasterText" value={settings.rasterText} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+          <option value="auto">Lines the code page can't print</option>
+          <option value="always">Whole receipt</option>
+          <option value="off">Never (print "?" instead)</option>
+        </select>
+        <label className="block text-sm font-medium text-gray-700 mt-2">Font</label>
+        <input type="text" name="rasterFontFamily" value={settings.rasterFontFamily} onChange={handleChange} disabled={settings.rasterText === 'off'} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+        <p className="text-xs text-gray-500 mt-1">A CSS font list; the font must be installed on this computer.</p>
+      </div>
+
+      {/* Logo Block */}
+      <LogoControls
+        logoUrl={settings.logoUrl}
+        image={settings.logoImage}
+        onLogoUrlChange={(logoUrl) => onSettingsChange(prev => ({ ...prev, logoUrl }))}
+        onImageChange={(logoImage) => onSettingsChange(prev => ({ ...prev, logoImage }))}
+      />
+
+      {/* Company Profile Block */}
+      <CompanyProfileControls
+        profile={settings.companyProfile}
+        onChange={(companyProfile) => onSettingsChange(prev => ({ ...prev, companyProfile }))}
+      />
+
+      {/* Voucher Number Barcode Block */}
+      <BarcodeControls
+        barcode={settings.barcode}
+        onChange={(barcode) => onSettingsChange(prev => ({ ...prev, barcode }))}
+      />
+
+      {/* UPI Payment QR Block */}
+      <UpiPaymentControls
+        payee={settings.upiPayment}
+        onChange={(upiPayment) => onSettingsChange(prev => ({ ...prev, upiPayment }))}
+      />
+
+      {/* Receipt Template Block */}
+      <TemplateControls settings={settings} onSettingsChange={onSettingsChange} />
+
+      {/* Copy Titles Block */}
+      <CopyLabelControls
+        copyLabels={settings.copyLabels}
+        onChange={(copyLabels) => onSettingsChange(prev => ({ ...prev, copyLabels }))}
+      />
+
+      {/* Per Voucher Type Block */}
+      <VoucherTypeControls settings={settings} onSettingsChange={onSettingsChange} />
+
       {/* Order Info Formatting Block */}
       <OrderInfoControls
         sectionStyles={settings.sectionStyles}
@@ -0,0 +1,97 @@
+// src/CopyLabelControls.jsx
+
+import React from 'react';
+import { RECEIPT_SECTIONS } from './utils/receiptTemplates';
+
+export default function CopyLabelControls({ copyLabels, onChange }) {
+  const updateCopy = (index, changes) => {
+    onChange({ ...copyLabels, copies: copyLabels.copies.map((copy, i) => (i === index ? { ...copy, ...changes } : copy)) });
+  };
+
+  const toggleSection = (index, sectionId, hidden) => {
+    const hiddenSections = copyLabels.copies[index].hiddenSections || [];
+    updateCopy(index, {
+      hiddenSections: hidden ? [...hiddenSections, sectionId] : hiddenSections.filter(id => id !== sectionId)
+    });
+  };
+
+  const checkboxClass = 'h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500';
+  const buttonClass = 'px-2 py-1 text-sm border border-gray-300 rounded-md bg-white hover:bg-gray-100';
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">Copy Titles</h4>
+
+      <label className="flex items-center gap-2 mt-2">
+        <input
+          type="checkbox"
+          checked={copyLabels.enabled}
+          onChange={e => onChange({ ...copyLabels, enabled: e.target.checked })}
+          className={checkboxClass}
+        />
+        Print a different title on each copy
+      </label>
+      <p className="text-xs text-gray-500 mt-1">
+        Copy 1 of each print uses the first title, copy 2 the second, and so on; copies beyond the list have no title.
+      </p>
+
+      {copyLabels.enabled && (
+        <ol className="mt-2 space-y-2">
+          {copyLabels.copies.map((copy, index) => (
+            <li key={index} className="p-2 bg-white border border-gray-200 rounded-md">
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-medium w-16">Copy {index + 1}</span>
+                <input
+                  type="text"
+                  value={copy.title}
+                  onChange={e => updateCopy(index, { title: e.target.value })}
+                  className="flex-1 p-1 border border-gray-300 rounded-md"
+                />
+                <button
+                  onClick={() => onChange({ ...copyLabels, copies: copyLabels.copies.filter((_, i) => i !== index) })}
+                  className={buttonClass}
+                  title="Remove this copy"
+                >
+                  ✕
+                </button>
+              </div>
+              <label className="flex items-center gap-2 mt-1 text-sm">
+                <input
+                  type="checkbox"
+                  checked={copy.hidePrices}
+                  onChange={e => updateCopy(index, { hidePrices: e.target.checked })}
+                  className={checkboxClass}
+                />
+                Hide prices (rates, amounts, totals, tax summary, UPI QR)
+              </label>
+              <details className="mt-1 text-sm">
+                <summary className="cursor-pointer text-gray-700">Hide sections on this copy</summary>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-1 mt-1">
+                  {RECEIPT_SECTIONS.map(section => (
+                    <label key={section.id} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={(copy.hiddenSections || []).includes(section.id)}
+                        onChange={e => toggleSection(index, section.id, e.target.checked)}
+                        className={checkboxClass}
+                      />
+                      {section.label}
+                    </label>
+                  ))}
+                </div>
+              </details>
+            </li>
+          ))}
+        </ol>
+      )}
+      {copyLabels.enabled && (
+        <button
+          onClick={() => onChange({ ...copyLabels, copies: [...copyLabels.copies, { title: '', hidePrices: false, hiddenSections: [] }] })}
+          className={`${buttonClass} mt-2`}
+        >
+          Add copy
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+// src/DiagnosticsPanel.jsx
+
+import React from 'react';
+
+const SEVERITY_STYLES = {
+  error: { icon: '✖', className: 'text-red-700 bg-red-50 border-red-200' },
+  warning: { icon: '⚠', className: 'text-yellow-800 bg-yellow-50 border-yellow-200' },
+};
+
+export default function DiagnosticsPanel({ fileDiagnostics, vouchers, onPreview }) {
+  const entries = [
+    ...fileDiagnostics.map(d => ({ ...d, voucher: null })),
+    ...vouchers.flatMap(v => (v.diagnostics || []).map(d => ({ ...d, voucher: v }))),
+  ];
+  if (entries.length === 0) return null;
+
+  const errorCount = entries.filter(e => e.severity === 'error').length;
+  const warningCount = entries.length - errorCount;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mb-8">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">
+        Diagnostics
+        <span className="ml-2 text-sm font-normal text-gray-500">
+          {errorCount} error(s), {warningCount} warning(s)
+        </span>
+      </h2>
+      <ul className="space-y-2 max-h-48 overflow-y-auto">
+        {entries.map((entry, index) => {
+          const style = SEVERITY_STYLES[entry.severity] || SEVERITY_STYLES.warning;
+          return (
+            <li key={index} className={`p-2 border rounded-md text-sm ${style.className}`}>
+              <span className="font-bold mr-2">{style.icon}</span>
+              {entry.voucher && (
+                <button
+                  onClick={() => onPreview(entry.voucher.id)}
+                  className="font-semibold underline mr-2 p-0 bg-transparent"
+                >
+                  {entry.voucher.order.number || `Voucher ${entry.voucher.id + 1}`}
+                </button>
+              )}
+              {entry.message}
+              <span className="ml-2 text-xs opacity-60">{entry.code}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
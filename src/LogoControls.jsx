@@ -0,0 +1,64 @@
+// src/LogoControls.jsx
+
+import React from 'react';
+import { DITHERING_METHODS } from './utils/rasterImage';
+
+export default function LogoControls({ logoUrl, image, onLogoUrlChange, onImageChange }) {
+  const update = (field, value) => {
+    onImageChange({ ...image, [field]: value });
+  };
+
+  const inputClass = 'mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm';
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">Logo</h4>
+
+      <label className="block text-sm font-medium text-gray-700 mt-2">Logo Image URL</label>
+      <input type="text" placeholder="https://.../logo.png" value={logoUrl} onChange={e => onLogoUrlChange(e.target.value)} className={inputClass} />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Dithering</label>
+          <select value={image.dithering} onChange={e => update('dithering', e.target.value)} disabled={!logoUrl} className={inputClass}>
+            {Object.entries(DITHERING_METHODS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <label className="flex items-center gap-2 md:mt-6">
+          <input
+            type="checkbox"
+            checked={image.invert}
+            onChange={e => update('invert', e.target.checked)}
+            disabled={!logoUrl}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Invert (light logo on dark background)
+        </label>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Width (dots)</label>
+          <input
+            type="number"
+            min="8"
+            max="576"
+            step="8"
+            value={image.width}
+            onChange={e => update('width', parseInt(e.target.value) || '')}
+            disabled={!logoUrl}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Brightness ({image.brightness})</label>
+          <input type="range" min="-100" max="100" value={image.brightness} onChange={e => update('brightness', parseInt(e.target.value) || 0)} disabled={!logoUrl} className="mt-1 block w-full" />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Contrast ({image.contrast})</label>
+          <input type="range" min="-100" max="100" value={image.contrast} onChange={e => update('contrast', parseInt(e.target.value) || 0)} disabled={!logoUrl} className="mt-1 block w-full" />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">Dithering prints photos and shaded logos as dot patterns; line-art logos look sharpest without it. The logo never prints wider than the paper (384 dots on 58mm, 512 or 576 on 80mm).</p>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+// src/PrinterProfileControls.jsx
+
+import React from 'react';
+import { CODE_PAGES } from './utils/codePages';
+import { CUSTOM_PROFILE_ID, PRINTER_PROFILES, resolvePrinterProfile } from './utils/printerProfiles';
+
+const CUSTOM_FIELDS = [
+  { name: 'paperWidthMm', label: 'Paper Width (mm)' },
+  { name: 'dotWidth', label: 'Printable Width (dots)' },
+  { name: 'charsPerLineFontA', label: 'Characters per Line (Font A)' },
+  { name: 'charsPerLineFontB', label: 'Characters per Line (Font B)' },
+  { name: 'dpi', label: 'Resolution (DPI)' },
+];
+
+export default function PrinterProfileControls({ profileId, customProfile, codePage, onProfileIdChange, onCustomProfileChange, onCodePageChange }) {
+  const isCustom = profileId === CUSTOM_PROFILE_ID;
+  const profile = resolvePrinterProfile({ printerProfileId: profileId, customPrinterProfile: customProfile });
+
+  const updateCustom = (field, value) => {
+    onCustomProfileChange({ ...customProfile, [field]: parseInt(value) || '' });
+  };
+
+  const inputClass = 'mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm';
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">Printer Profile</h4>
+
+      <label className="block text-sm font-medium text-gray-700 mt-2">Paper / Printer</label>
+      <select value={profileId} onChange={e => onProfileIdChange(e.target.value)} className={inputClass}>
+        {Object.entries(PRINTER_PROFILES).map(([id, { name }]) => (
+          <option key={id} value={id}>{name}</option>
+        ))}
+        <option value={CUSTOM_PROFILE_ID}>Custom...</option>
+      </select>
+
+      {isCustom ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+          {CUSTOM_FIELDS.map(field => (
+            <div key={field.name}>
+              <label className="block text-sm font-medium text-gray-700">{field.label}</label>
+              <input
+                type="number"
+                min="1"
+                value={customProfile[field.name]}
+                onChange={e => updateCustom(field.name, e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500 mt-2">
+          {profile.charsPerLineFontA} columns in Font A, {profile.charsPerLineFontB} in Font B; {profile.dotWidth} dots wide at {profile.dpi} DPI.
+        </p>
+      )}
+
+      <label className="block text-sm font-medium text-gray-700 mt-2">Code Page</label>
+      <select value={codePage} onChange={e => onCodePageChange(e.target.value)} className={inputClass}>
+        <option value="">Profile default ({CODE_PAGES[profile.codePage].label})</option>
+        {Object.entries(CODE_PAGES).map(([id, { label }]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500 mt-1">Must match the code page set on the printer. Characters it lacks print as the nearest match or "?".</p>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+// src/QrCode.jsx
+
+import React, { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+
+/**
+ * Shows `value` as a QR code image, as the printer would print it.
+ * Renders nothing if the value can't be encoded.
+ */
+export default function QrCode({ value, size = 180, errorCorrection = 'M' }) {
+  const [src, setSrc] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(value, { errorCorrectionLevel: errorCorrection, margin: 1, width: size })
+      .then(url => !cancelled && setSrc(url))
+      .catch(err => {
+        console.error('QR code could not be rendered:', err);
+        if (!cancelled) setSrc('');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [value, size, errorCorrection]);
+
+  if (!src) return null;
+  return <img src={src} alt="QR code" width={size} height={size} className="mx-auto" />;
+}
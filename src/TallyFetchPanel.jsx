@@ -0,0 +1,93 @@
+// src/TallyFetchPanel.jsx
+
+import React, { useState } from 'react';
+
+const VOUCHER_TYPES = ['', 'Sales', 'Sales Order', 'Delivery Note', 'Stock Journal', 'Receipt', 'Payment', 'Journal', 'Contra', 'Credit Note', 'Debit Note', 'Rejections In', 'Rejections Out'];
+
+// Today's date on this computer's clock as YYYY-MM-DD; toISOString() would give the UTC date
+const today = () => {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+export default function TallyFetchPanel({ connection, onConnectionChange, onFetch, isFetching }) {
+  const [query, setQuery] = useState({
+    voucherType: 'Sales',
+    fromDate: today(),
+    toDate: today(),
+    voucherNumber: ''
+  });
+
+  const updateQuery = (e) => {
+    const { name, value } = e.target;
+    setQuery(prev => ({ ...prev, [name]: value }));
+  };
+
+  const updateConnection = (e) => {
+    const { name, value } = e.target;
+    onConnectionChange({ ...connection, [name]: name === 'port' ? parseInt(value) || '' : value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onFetch(query);
+  };
+
+  const inputClass = 'mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 text-left">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Voucher Type</label>
+          <select name="voucherType" value={query.voucherType} onChange={updateQuery} className={inputClass}>
+            {VOUCHER_TYPES.map(type => (
+              <option key={type} value={type}>{type || 'All types'}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">From</label>
+          <input type="date" name="fromDate" value={query.fromDate} onChange={updateQuery} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">To</label>
+          <input type="date" name="toDate" value={query.toDate} onChange={updateQuery} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Voucher No (optional)</label>
+          <input type="text" name="voucherNumber" placeholder="e.g. S-101" value={query.voucherNumber} onChange={updateQuery} className={inputClass} />
+        </div>
+      </div>
+
+      <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <h4 className="text-md font-semibold border-b pb-1 mb-2">Tally Connection</h4>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Tally Host</label>
+            <input type="text" name="host" value={connection.host} onChange={updateConnection} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Tally Port</label>
+            <input type="number" name="port" value={connection.port} onChange={updateConnection} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Company (optional)</label>
+            <input type="text" name="company" placeholder="Current company" value={connection.company} onChange={updateConnection} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Proxy URL</label>
+            <input type="text" name="proxyUrl" value={connection.proxyUrl} onChange={updateConnection} className={inputClass} />
+          </div>
+        </div>
+      </div>
+
+      <div className="text-center">
+        <button type="submit" disabled={isFetching} className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white px-6 py-2 rounded">
+          {isFetching ? 'Fetching...' : 'Fetch from Tally'}
+        </button>
+      </div>
+    </form>
+  );
+}
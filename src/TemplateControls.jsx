@@ -0,0 +1,151 @@
+// src/TemplateControls.jsx
+
+import React from 'react';
+import {
+  RECEIPT_LABELS,
+  RECEIPT_SECTIONS,
+  TEXT_PLACEHOLDERS,
+  createTextBlock,
+  resolveReceiptTemplate,
+  templateSections
+} from './utils/receiptTemplates';
+
+export default function TemplateControls({ settings, onSettingsChange }) {
+  const template = resolveReceiptTemplate(settings);
+  const sections = templateSections(template);
+
+  const inputClass = 'mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm';
+  const buttonClass = 'px-2 py-1 text-sm border border-gray-300 rounded-md bg-white hover:bg-gray-100 disabled:opacity-40';
+
+  const updateTemplate = (changes) => {
+    onSettingsChange(prev => ({
+      ...prev,
+      receiptTemplates: prev.receiptTemplates.map(t => (t.id === template.id ? { ...t, ...changes } : t))
+    }));
+  };
+
+  const updateSection = (index, changes) => {
+    updateTemplate({ sections: sections.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)) });
+  };
+
+  const moveSection = (index, offset) => {
+    const reordered = [...sections];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+    updateTemplate({ sections: reordered });
+  };
+
+  const removeSection = (index) => {
+    updateTemplate({ sections: sections.filter((_, i) => i !== index) });
+  };
+
+  const addTemplate = () => {
+    // New templates start as a copy of the current one
+    const copy = { ...template, id: `template-${Date.now()}`, name: `${template.name} (copy)` };
+    onSettingsChange(prev => ({
+      ...prev,
+      receiptTemplates: [...prev.receiptTemplates, copy],
+      activeTemplateId: copy.id
+    }));
+  };
+
+  const deleteTemplate = () => {
+    onSettingsChange(prev => {
+      const remaining = prev.receiptTemplates.filter(t => t.id !== template.id);
+      return { ...prev, receiptTemplates: remaining, activeTemplateId: remaining[0].id };
+    });
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">Receipt Template</h4>
+
+      <label className="block text-sm font-medium text-gray-700 mt-2">Template</label>
+      <div className="flex gap-2">
+        <select
+          value={template.id}
+          onChange={e => onSettingsChange(prev => ({ ...prev, activeTemplateId: e.target.value }))}
+          className={inputClass}
+        >
+          {settings.receiptTemplates.map(t => (
+            <option key={t.id} value={t.id}>{t.name}</option>
+          ))}
+        </select>
+        <button onClick={addTemplate} className={`${buttonClass} mt-1`} title="Save a copy as a new template">Copy</button>
+        <button onClick={deleteTemplate} disabled={settings.receiptTemplates.length <= 1} className={`${buttonClass} mt-1`}>Delete</button>
+      </div>
+      <label className="block text-sm font-medium text-gray-700 mt-2">Name</label>
+      <input type="text" value={template.name} onChange={e => updateTemplate({ name: e.target.value })} className={inputClass} />
+
+      <h5 className="text-sm font-semibold mt-4">Sections (top to bottom)</h5>
+      <ul className="mt-1 space-y-1">
+        {sections.map((entry, index) => (
+          <li key={entry.id} className="p-2 bg-white border border-gray-200 rounded-md">
+            <div className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={entry.visible}
+                onChange={e => updateSection(index, { visible: e.target.checked })}
+                title="Show this section"
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              <span className={`flex-1 text-sm ${entry.visible ? '' : 'text-gray-400 line-through'}`}>
+                {entry.type === 'text' ? 'Text block' : RECEIPT_SECTIONS.find(section => section.id === entry.id)?.label || entry.id}
+              </span>
+              <button onClick={() => moveSection(index, -1)} disabled={index === 0} className={buttonClass} title="Move up">↑</button>
+              <button onClick={() => moveSection(index, 1)} disabled={index === sections.length - 1} className={buttonClass} title="Move down">↓</button>
+              {entry.type === 'text' && (
+                <button onClick={() => removeSection(index)} className={buttonClass} title="Remove this text block">✕</button>
+              )}
+            </div>
+            {entry.type === 'text' && (
+              <div className="mt-2">
+                <textarea
+                  rows="2"
+                  value={entry.text}
+                  onChange={e => updateSection(index, { text: e.target.value })}
+                  className={inputClass}
+                />
+                <div className="flex items-center gap-4 mt-1">
+                  <select value={entry.align} onChange={e => updateSection(index, { align: e.target.value })} className="p-1 border border-gray-300 rounded-md text-sm">
+                    <option value="left">Left</option>
+                    <option value="center">Center</option>
+                    <option value="right">Right</option>
+                  </select>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={entry.bold}
+                      onChange={e => updateSection(index, { bold: e.target.checked })}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    Bold
+                  </label>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      <button onClick={() => updateTemplate({ sections: [...sections, createTextBlock()] })} className={`${buttonClass} mt-2`}>
+        Add text block
+      </button>
+      <p className="text-xs text-gray-500 mt-1">Text blocks can use {TEXT_PLACEHOLDERS.join(', ')}.</p>
+
+      <h5 className="text-sm font-semibold mt-4">Labels</h5>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        {Object.entries(RECEIPT_LABELS).map(([key, defaultLabel]) => (
+          <div key={key}>
+            <label className="block text-xs font-medium text-gray-700">{defaultLabel}</label>
+            <input
+              type="text"
+              value={template.labels?.[key] || ''}
+              placeholder={defaultLabel}
+              onChange={e => updateTemplate({ labels: { ...template.labels, [key]: e.target.value } })}
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
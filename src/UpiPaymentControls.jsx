@@ -0,0 +1,44 @@
+// src/UpiPaymentControls.jsx
+
+import React from 'react';
+import { isValidVpa } from './utils/upi';
+
+export default function UpiPaymentControls({ payee, onChange }) {
+  const update = (field, value) => {
+    onChange({ ...payee, [field]: value });
+  };
+
+  const vpaInvalid = payee.vpa.trim() !== '' && !isValidVpa(payee.vpa);
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">UPI Payment QR</h4>
+      <p className="text-xs text-gray-500 mt-1">
+        Prints a QR code customers can scan to pay the voucher total. Switch it on or off per voucher type below.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Payee VPA (UPI ID)</label>
+          <input
+            type="text"
+            placeholder="shop@okbank"
+            value={payee.vpa}
+            onChange={e => update('vpa', e.target.value)}
+            className={`mt-1 block w-full p-2 border rounded-md shadow-sm ${vpaInvalid ? 'border-red-500' : 'border-gray-300'}`}
+          />
+          {vpaInvalid && <p className="text-xs text-red-600 mt-1">Doesn't look like a UPI ID (name@bank).</p>}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Payee Name</label>
+          <input
+            type="text"
+            value={payee.payeeName}
+            onChange={e => update('payeeName', e.target.value)}
+            className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+// src/VoucherList.jsx
+
+import React from 'react';
+import { formatINR } from './utils/formatters';
+
+export default function VoucherList({ vouchers, previewId, selectedIds, onPreview, onSelectionChange }) {
+  if (!vouchers || vouchers.length === 0) return null;
+
+  const allSelected = selectedIds.length === vouchers.length;
+
+  const toggle = (id) => {
+    onSelectionChange(
+      selectedIds.includes(id)
+        ? selectedIds.filter(selectedId => selectedId !== id)
+        : [...selectedIds, id]
+    );
+  };
+
+  const toggleAll = () => {
+    onSelectionChange(allSelected ? [] : vouchers.map(v => v.id));
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-800">Vouchers ({vouchers.length})</h2>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={toggleAll}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Select All
+        </label>
+      </div>
+
+      <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-md">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600 text-left sticky top-0">
+            <tr>
+              <th className="p-2 w-8"></th>
+              <th className="p-2">Voucher No</th>
+              <th className="p-2">Date</th>
+              <th className="p-2">Type</th>
+              <th className="p-2">Party</th>
+              <th className="p-2 text-right">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {vouchers.map(voucher => (
+              <tr
+                key={voucher.id}
+                onClick={() => onPreview(voucher.id)}
+                className={`cursor-pointer border-t border-gray-100 ${voucher.id === previewId ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <td className="p-2" onClick={e => e.stopPropagation()}>
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(voucher.id)}
+                    onChange={() => toggle(voucher.id)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                </td>
+                <td className="p-2 font-medium">
+                  {voucher.order.number}
+                  {voucher.diagnostics?.some(d => d.severity === 'error') ? (
+                    <span className="ml-1 text-red-600" title="Has errors">✖</span>
+                  ) : voucher.diagnostics?.length > 0 && (
+                    <span className="ml-1 text-yellow-600" title="Has warnings">⚠</span>
+                  )}
+                </td>
+                <td className="p-2">{voucher.order.date}</td>
+                <td className="p-2">{voucher.heading}</td>
+                <td className="p-2">{voucher.party.name}</td>
+                <td className="p-2 text-right">{formatINR(voucher.totals.total)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
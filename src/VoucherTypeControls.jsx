@@ -0,0 +1,79 @@
+// src/VoucherTypeControls.jsx
+
+import React, { useState } from 'react';
+import { VOUCHER_HEADINGS } from './parseTallyXML';
+import { VOUCHER_TYPE_OPTIONS } from './utils/voucherSettings';
+
+const ALL_TYPES = '';
+
+export default function VoucherTypeControls({ settings, onSettingsChange }) {
+  const [voucherType, setVoucherType] = useState(ALL_TYPES);
+  const overrides = settings.voucherTypeOverrides[voucherType] || {};
+
+  // The value in effect for the chosen type: its override, else the general setting
+  const valueFor = (name) => (voucherType && name in overrides ? overrides[name] : settings[name]);
+
+  const update = (name, value) => {
+    if (voucherType === ALL_TYPES) {
+      onSettingsChange(prev => ({ ...prev, [name]: value }));
+      return;
+    }
+    onSettingsChange(prev => ({
+      ...prev,
+      voucherTypeOverrides: {
+        ...prev.voucherTypeOverrides,
+        [voucherType]: { ...prev.voucherTypeOverrides[voucherType], [name]: value }
+      }
+    }));
+  };
+
+  const resetType = () => {
+    onSettingsChange(prev => {
+      const { [voucherType]: _removed, ...rest } = prev.voucherTypeOverrides;
+      return { ...prev, voucherTypeOverrides: rest };
+    });
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">Per Voucher Type</h4>
+
+      <label className="block text-sm font-medium text-gray-700 mt-2">Voucher Type</label>
+      <select value={voucherType} onChange={e => setVoucherType(e.target.value)} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+        <option value={ALL_TYPES}>All types (default)</option>
+        {VOUCHER_HEADINGS.map(heading => (
+          <option key={heading} value={heading}>
+            {heading}{settings.voucherTypeOverrides[heading] ? ' *' : ''}
+          </option>
+        ))}
+      </select>
+
+      {VOUCHER_TYPE_OPTIONS.map(option => option.choices ? (
+        <div key={option.name} className="mt-2">
+          <label className="block text-sm font-medium text-gray-700">{option.label}</label>
+          <select value={valueFor(option.name)} onChange={e => update(option.name, e.target.value)} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+            {Object.entries(option.choices).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      ) : (
+        <label key={option.name} className="flex items-center gap-2 mt-2">
+          <input
+            type="checkbox"
+            checked={Boolean(valueFor(option.name))}
+            onChange={e => update(option.name, e.target.checked)}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          {option.label}
+        </label>
+      ))}
+
+      {voucherType !== ALL_TYPES && settings.voucherTypeOverrides[voucherType] && (
+        <button onClick={resetType} className="mt-2 text-sm text-blue-700 underline p-0 bg-transparent">
+          Use the defaults for {voucherType}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+// src/defaultSettings.js
+
+import { DEFAULT_RECEIPT_TEMPLATE, resolveReceiptTemplate, templateSections } from './utils/receiptTemplates';
+
+/**
+ * Default print settings. Used on first load, when the saved settings
+ * cannot be read, and by the "Reset to Defaults" button.
+ */
+export const DEFAULT_SETTINGS = {
+  fontFamily: 'monospace',
+  fontSize: 12,
+  lineHeight: 1.4,
+  headerAlignment: 'center',
+  logoUrl: '',
+  // How the logo is converted to the printer's black dots (see utils/rasterImage.js)
+  logoImage: {
+    dithering: 'threshold', // 'threshold', 'floyd-steinberg', 'atkinson' or 'ordered'
+    brightness: 0, // -100 to 100
+    contrast: 0, // -100 to 100
+    invert: false,
+    width: 384 // Printed width in dots, at most the printer profile's dotWidth
+  },
+  lineSeparator: '-',
+  zoom: 1.0,
+  // Paper and printer geometry (see utils/printerProfiles.js). 80mm, 42 columns
+  // is what the receipt layout was originally designed for.
+  printerProfileId: '80mm-42',
+  customPrinterProfile: {
+    name: 'Custom',
+    paperWidthMm: 80,
+    charsPerLineFontA: 48,
+    charsPerLineFontB: 64,
+    dotWidth: 576,
+    dpi: 203
+  },
+  printerCodePage: '', // Overrides the profile's code page when set (see utils/codePages.js)
+  // Text the code page can't print (Hindi, Gujarati, ...) is printed as an image:
+  // 'auto' for lines that need it, 'always' for every line, 'off' to print "?" instead
+  rasterText: 'auto',
+  rasterFontFamily: "'Noto Sans Devanagari', 'Noto Sans Gujarati', 'Nirmala UI', Mangal, Shruti, sans-serif",
+  showAmountInWords: true,
+  amountInWordsCase: 'title', // 'title' or 'upper'
+  blockPrintOnErrors: true, // Refuse to print vouchers with parse errors (see parseTallyXML diagnostics)
+  showBatchDetails: false,
+  itemLayout: 'detailed', // 'detailed', 'compact' or 'noRate' (see utils/voucherSettings.js)
+  showUpiQr: false, // UPI payment QR (see upiPayment); switched on for invoices below
+  // Per-voucher-type settings, keyed by voucher heading (see utils/voucherSettings.js)
+  voucherTypeOverrides: {
+    'MATERIAL CHALLAN': { showBatchDetails: true },
+    'SALES INVOICE': { showUpiQr: true }
+  },
+  // Section order, labels and free-text blocks (see utils/receiptTemplates.js)
+  receiptTemplates: [DEFAULT_RECEIPT_TEMPLATE],
+  activeTemplateId: DEFAULT_RECEIPT_TEMPLATE.id,
+  // Per-copy titles and hidden sections; copy N of a print uses the Nth entry
+  copyLabels: {
+    enabled: false,
+    copies: [
+      { title: 'Original for Recipient', hidePrices: false, hiddenSections: [] },
+      { title: 'Duplicate for Transporter', hidePrices: true, hiddenSections: [] },
+      { title: 'Triplicate for Supplier', hidePrices: false, hiddenSections: [] }
+    ]
+  },
+  sectionStyles: {
+    orderInfo: { labelBold: false, valueBold: true }
+  },
+  // Fills in company details the Tally export doesn't carry
+  companyProfile: {
+    name: '',
+    address: '',
+    state: '',
+    pincode: '',
+    phone: '',
+    email: '',
+    gstin: ''
+  },
+  // Voucher number as a 1D barcode, for scanning at dispatch
+  barcode: {
+    enabled: false,
+    symbology: 'CODE128', // 'CODE128' or 'CODE39'
+    height: 60, // Bar height in printer dots
+    width: 2, // Narrowest bar in printer dots (2-6)
+    hriPosition: 'below' // Human-readable text: 'none', 'above', 'below' or 'both'
+  },
+  // Payee for the UPI payment QR; no QR is printed until a VPA is set
+  upiPayment: {
+    vpa: '',
+    payeeName: ''
+  },
+  // Where "Fetch from Tally" sends its requests. The browser talks to the
+  // local proxy (tally-proxy-server.js), which relays to Tally's HTTP port.
+  tallyConnection: {
+    proxyUrl: 'http://localhost:3002',
+    host: 'localhost',
+    port: 9000,
+    company: ''
+  }
+};
+
+/**
+ * Moves the barcode of settings saved before receipt templates, when
+ * `barcode.placement` chose where it printed, to the same place in the active
+ * template. "header" printed it just before the order details; "footer" is
+ * where the templates put it by default.
+ * @param {object} merged Settings merged over the defaults; updated in place.
+ */
+function migrateBarcodePlacement(merged) {
+  const { placement } = merged.barcode;
+  merged.barcode = { ...merged.barcode };
+  delete merged.barcode.placement;
+  if (placement !== 'header') return;
+
+  const template = resolveReceiptTemplate(merged);
+  const allSections = templateSections(template);
+  const barcodeEntry = allSections.find(entry => entry.id === 'barcode');
+  const sections = allSections.filter(entry => entry !== barcodeEntry);
+  const orderInfoIndex = sections.findIndex(entry => entry.id === 'orderInfo');
+  sections.splice(orderInfoIndex === -1 ? 0 : orderInfoIndex, 0, barcodeEntry);
+  merged.receiptTemplates = merged.receiptTemplates.map(t => (t.id === template.id ? { ...t, sections } : t));
+}
+
+/**
+ * Merges saved settings over the defaults, so settings saved by an older
+ * version of the app pick up any keys added since.
+ * @param {object} saved The settings read from localStorage.
+ * @returns {object} A complete settings object.
+ */
+export function mergeWithDefaults(saved) {
+  const merged = { ...DEFAULT_SETTINGS, ...saved };
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    const defaultValue = DEFAULT_SETTINGS[key];
+    if (defaultValue && typeof defaultValue === 'object' && !Array.isArray(defaultValue)) {
+      merged[key] = { ...defaultValue, ...(saved?.[key] || {}) };
+    }
+  });
+  if ('placement' in merged.barcode) migrateBarcodePlacement(merged);
+  return merged;
+}
@@ -1,30 +1,36 @@
 // 📁 File: src/generateEscPosCommands.js
 
-/**
- * Converts a string to a Uint8Array using TextEncoder.
- * Handles common currency symbol replacement for thermal printers.
- * @param {string} text The text to encode.
- * @returns {Uint8Array} The encoded text.
- */
-function encodeText(text) {
-  // Replace Rupee symbol with "Rs." for thermal printer compatibility
-  const processedText = text.replace(/₹/g, 'Rs. ');
-  return new TextEncoder().encode(processedText);
-}
+import QRCode from 'qrcode';
+import { BARCODE_SYMBOLOGIES, barcodeText } from './utils/barcode';
+import { CODE_PAGES, canEncode, encodeForCodePage } from './utils/codePages';
+import { resolvePrinterProfile } from './utils/printerProfiles';
+import { rasterBandCommands, toMonochrome } from './utils/rasterImage';
+import { resolveVoucherSettings } from './utils/voucherSettings';
+import { buildReceiptLayout } from './receiptLayout';
+
+// Converted logos, keyed by URL, width and image options, so printing a batch
+// doesn't decode and dither the same image for every voucher
+const logoCache = new Map();
+const LOGO_CACHE_SIZE = 8;
 
 /**
  * Converts an image URL to a monochrome bitmap and generates ESC/POS commands.
  * @param {string} imageUrl The URL of the image to print.
- * @param {number} printerDPI The resolution of the printer in DPI (e.g., 203).
- * @param {number} targetWidthPx The desired width of the image in pixels on the printout (e.g., 384 for 80mm paper).
+ * @param {number} targetWidthPx The desired width of the image in dots on the printout.
+ * @param {object} [options] Dithering, brightness, contrast and invert; see toMonochrome.
  * @returns {Promise<Uint8Array>} A promise that resolves with the ESC/POS commands for the image.
  */
-async function printImage(imageUrl, printerDPI, targetWidthPx = 384) {
+async function printImage(imageUrl, targetWidthPx, options = {}) {
   if (!imageUrl) {
     return new Uint8Array();
   }
 
-  return new Promise((resolve) => {
+  const cacheKey = JSON.stringify([imageUrl, targetWidthPx, options]);
+  if (logoCache.has(cacheKey)) {
+    return logoCache.get(cacheKey);
+  }
+
+  const commands = await new Promise((resolve) => {
     const img = new Image();
     img.crossOrigin = 'Anonymous'; // Required for loading images from different origins
     img.onload = () => {
@@ -41,62 +47,155 @@ async function printImage(imageUrl, printerDPI, targetWidthPx = 384) {
 
       ctx.drawImage(img, 0, 0, displayWidth, displayHeight);
 
-      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      const data = imageData.data; // RGBA pixel data
-
-      const commands = [];
-      const GS = 0x1D;
-
-      // GS v 0 commands for raster bit image
-      // GS v 0 m xL xH yL yH d1...dk
-      // m = 0 (normal 8-dot single density)
-      // xL, xH = width in bytes (xL + xH*256)
-      // yL, yH = height in dots (yL + yH*256)
-      // d1...dk = bitmap data
-
-      // Convert to monochrome bitmap (1-bit per pixel)
-      // Each byte represents 8 pixels.
-      const bytesPerRow = Math.ceil(displayWidth / 8);
-      const bitmapData = new Uint8Array(bytesPerRow * displayHeight);
-
-      for (let y = 0; y < displayHeight; y++) {
-        for (let x = 0; x < displayWidth; x++) {
-          const pixelIndex = (y * displayWidth + x) * 4; // RGBA
-          const r = data[pixelIndex];
-          const g = data[pixelIndex + 1];
-          const b = data[pixelIndex + 2];
-
-          // Simple luminance calculation for monochrome conversion
-          const luminance = (0.299 * r + 0.587 * g + 0.114 * b);
-          // Thresholding: if luminance is below 128, it's black (1), otherwise white (0)
-          // For thermal printers, 1 usually means print (black), 0 means don't print (white)
-          if (luminance < 128) {
-            const bytePosition = Math.floor(x / 8);
-            const bitPosition = 7 - (x % 8); // Bits are ordered from MSB to LSB
-            bitmapData[y * bytesPerRow + bytePosition] |= (1 << bitPosition);
-          }
-        }
-      }
-
-      // Add GS v 0 command
-      commands.push(GS, 0x76, 0x30); // GS v 0
-      commands.push(0x00); // m = 0 (normal 8-dot single density)
-      commands.push(bytesPerRow & 0xFF, (bytesPerRow >> 8) & 0xFF); // xL, xH (width in bytes)
-      commands.push(displayHeight & 0xFF, (displayHeight >> 8) & 0xFF); // yL, yH (height in dots)
-      commands.push(...Array.from(bitmapData)); // Bitmap data
-
-      resolve(new Uint8Array(commands));
+      const bitmap = toMonochrome(ctx.getImageData(0, 0, canvas.width, canvas.height), options);
+      resolve(rasterBandCommands(bitmap));
     };
 
     img.onerror = (e) => {
       console.error("Error loading image for ESC/POS:", imageUrl, e);
-      resolve(new Uint8Array()); // Resolve with empty commands on error
+      resolve(null);
     };
 
     img.src = imageUrl;
   });
+
+  if (!commands) {
+    return new Uint8Array(); // Not cached, so a fixed URL is retried next time
+  }
+  if (logoCache.size >= LOGO_CACHE_SIZE) {
+    logoCache.delete(logoCache.keys().next().value);
+  }
+  logoCache.set(cacheKey, commands);
+  return commands;
+}
+
+/**
+ * Draws one line of text as a raster image, for text the printer's code page
+ * can't print (Hindi, Gujarati, ...). Characters sit on the printer's Font A
+ * column grid, so padded columns still line up with the text lines around
+ * them; runs of unprintable characters are shaped together and squeezed into
+ * the columns they would have taken.
+ * @param {{text: string, bold: boolean}[]} segments The line's text, split where bold changes.
+ * @param {{alignment: string, doubleSize: boolean}} style The line's alignment and size.
+ * @param {object} profile The printer profile (dot width, columns, code page).
+ * @param {string} fontFamily CSS font family to draw with.
+ * @returns {Uint8Array} The GS v 0 commands, or an empty array if there's no canvas.
+ */
+function renderTextLine(segments, style, profile, fontFamily) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return new Uint8Array();
+
+  // Font A is 12x24 dots on most printers: cells twice as tall as they are wide
+  const cellWidth = (profile.dotWidth / profile.charsPerLineFontA) * (style.doubleSize ? 2 : 1);
+  const fontSize = Math.round(cellWidth * 2);
+  canvas.width = profile.dotWidth;
+  canvas.height = Math.round(cellWidth * 2.5); // Room for matras above and below the line
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000';
+  ctx.textBaseline = 'middle';
+
+  // Split into runs: printable characters one per cell, others shaped as a whole
+  const runs = [];
+  segments.forEach(({ text, bold }) => {
+    Array.from(text).forEach(char => {
+      const printable = canEncode(char, profile.codePage);
+      const last = runs[runs.length - 1];
+      if (last && last.bold === bold && last.printable === printable) {
+        last.chars.push(char);
+      } else {
+        runs.push({ chars: [char], bold, printable });
+      }
+    });
+  });
+
+  const totalCells = runs.reduce((sum, run) => sum + run.chars.length, 0);
+  const lineWidth = Math.min(canvas.width, totalCells * cellWidth);
+  let x = 0;
+  if (style.alignment === 'center') x = (canvas.width - lineWidth) / 2;
+  if (style.alignment === 'right') x = canvas.width - lineWidth;
+
+  const y = canvas.height / 2;
+  runs.forEach(run => {
+    ctx.font = `${run.bold ? 'bold ' : ''}${fontSize}px ${run.printable ? 'monospace' : fontFamily}`;
+    if (run.printable) {
+      run.chars.forEach(char => {
+        ctx.fillText(char, x, y, cellWidth);
+        x += cellWidth;
+      });
+    } else {
+      const width = run.chars.length * cellWidth;
+      ctx.fillText(run.chars.join(''), x, y, width);
+      x += width;
+    }
+  });
+
+  return rasterBandCommands(toMonochrome(ctx.getImageData(0, 0, canvas.width, canvas.height)));
 }
 
+/**
+ * Generates the GS ( k commands that make the printer encode and print a QR
+ * code itself, which stays sharp where a raster image of the QR would blur.
+ * The module size is the largest that keeps the symbol (with its quiet zone)
+ * within `maxWidthDots`.
+ * @param {string} data The text to encode.
+ * @param {number} maxWidthDots The widest the printed symbol may be, in dots.
+ * @param {'L'|'M'|'Q'|'H'} errorCorrection The error correction level.
+ * @returns {Uint8Array} The ESC/POS commands, or an empty array if the data can't be encoded.
+ */
+function printQrCode(data, maxWidthDots, errorCorrection = 'M') {
+  let symbolSize;
+  try {
+    symbolSize = QRCode.create(data, { errorCorrectionLevel: errorCorrection }).modules.size;
+  } catch (e) {
+    console.error("QR code data could not be encoded:", e);
+    return new Uint8Array();
+  }
+
+  const GS = 0x1D;
+  const moduleSize = Math.max(1, Math.min(8, Math.floor(maxWidthDots / (symbolSize + 8)))); // 4-module quiet zone each side
+  const errorCorrectionByte = { L: 0x30, M: 0x31, Q: 0x32, H: 0x33 }[errorCorrection];
+  const bytes = new TextEncoder().encode(data);
+  const storeLength = bytes.length + 3; // cn, fn and m
+
+  return new Uint8Array([
+    GS, 0x28, 0x6B, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00, // Function 165: model 2
+    GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x43, moduleSize, // Function 167: module size
+    GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, errorCorrectionByte, // Function 169: error correction
+    GS, 0x28, 0x6B, storeLength & 0xFF, (storeLength >> 8) & 0xFF, 0x31, 0x50, 0x30, ...bytes, // Function 180: store data
+    GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x51, 0x30, // Function 181: print the stored symbol
+  ]);
+}
+
+/**
+ * Generates the GS k commands for a 1D barcode, with its height, bar width
+ * and HRI (human-readable text) position set first.
+ * @param {string} text The text to encode.
+ * @param {object} barcode The `barcode` settings (symbology, height, width, hriPosition).
+ * @returns {Uint8Array} The ESC/POS commands, or an empty array if the text can't be encoded.
+ */
+function printBarcode(text, barcode) {
+  const value = barcodeText(text, barcode.symbology);
+  if (!value) {
+    console.warn(`Voucher number "${text}" can't be printed as a ${barcode.symbology} barcode.`);
+    return new Uint8Array();
+  }
+
+  const GS = 0x1D;
+  const hri = { none: 0, above: 1, below: 2, both: 3 }[barcode.hriPosition] ?? 2;
+  // CODE128 data starts with the code set; a literal "{" is escaped as "{{"
+  const data = barcode.symbology === 'CODE128' ? `{B${value.replace(/\{/g, '{{')}` : value;
+  const bytes = new TextEncoder().encode(data).slice(0, 255);
+
+  return new Uint8Array([
+    GS, 0x68, Math.max(1, Math.min(255, barcode.height)), // GS h n: height in dots
+    GS, 0x77, Math.max(2, Math.min(6, barcode.width)), // GS w n: module width
+    GS, 0x48, hri, // GS H n: HRI position
+    GS, 0x66, 0x00, // GS f n: HRI in font A
+    GS, 0x6B, BARCODE_SYMBOLOGIES[barcode.symbology].escPosType, bytes.length, ...bytes, // GS k m n d1...dn
+  ]);
+}
 
 /**
  * Generates ESC/POS commands for printing a Tally sales order.
@@ -105,13 +204,16 @@ async function printImage(imageUrl, printerDPI, targetWidthPx = 384) {
  *
  * @param {object} xmlData - The parsed Tally XML data.
  * @param {object} settings - User-defined print settings.
+ * @param {object|null} [copy] - Which copy of the print this is (see resolveCopy in utils/receiptTemplates.js).
  * @returns {Promise<Uint8Array>} The complete sequence of ESC/POS commands.
  */
-export default async function generateEscPosCommands(xmlData, settings) {
+export default async function generateEscPosCommands(xmlData, baseSettings, copy = null) {
   if (!xmlData) {
     console.warn("No XML data provided for ESC/POS command generation.");
     return new Uint8Array();
   }
+  const settings = resolveVoucherSettings(baseSettings, xmlData);
+  const profile = resolvePrinterProfile(settings);
 
   const commands = [];
 
@@ -120,11 +222,42 @@ export default async function generateEscPosCommands(xmlData, settings) {
   const GS = 0x1D;
   const LF = 0x0A; // Line Feed
 
+  // Current text style, kept so a line printed as an image looks like the text around it
+  const textStyle = { alignment: 'left', bold: false, doubleSize: false };
+  let lineSegments = []; // Text printed so far on the current line: [{ text, bold }]
+  let lineStart = 0; // Where the current line's commands begin
+
+  // Load the font for text printed as images before drawing with it
+  if (settings.rasterText !== 'off' && typeof document !== 'undefined' && document.fonts) {
+    await document.fonts.load(`24px ${settings.rasterFontFamily}`, '\u0905\u0A85').catch(() => {});
+  }
+
   // Initialize printer (clears settings)
   commands.push(ESC, 0x40); // ESC @
+  // Select the printer's code page; encodeText maps text into it
+  commands.push(ESC, 0x74, CODE_PAGES[profile.codePage]?.escPosNumber ?? 0); // ESC t n
 
   // --- Helper Functions for ESC/POS Formatting ---
 
+  /**
+   * Converts text to bytes in the profile's code page. Characters the page
+   * lacks are transliterated (e.g. ₹ -> "Rs. ") or replaced with "?".
+   * @param {string} text The text to encode.
+   * @returns {Uint8Array} The encoded text.
+   */
+  function encodeText(text) {
+    return encodeForCodePage(text, profile.codePage);
+  }
+
+  /**
+   * Appends a block of bytes (an image, QR code or barcode). Loops rather than
+   * spreading, since spreading a tall image overflows the call stack.
+   * @param {Uint8Array|number[]} bytes
+   */
+  function pushBytes(bytes) {
+    for (let i = 0; i < bytes.length; i++) commands.push(bytes[i]);
+  }
+
   /**
    * Sets text alignment.
    * @param {'left'|'center'|'right'} alignment
@@ -133,6 +266,7 @@ export default async function generateEscPosCommands(xmlData, settings) {
     let mode = 0x00; // Left
     if (alignment === 'center') mode = 0x01;
     if (alignment === 'right') mode = 0x02;
+    textStyle.alignment = alignment;
     commands.push(ESC, 0x61, mode); // ESC a n
   }
 
@@ -141,6 +275,7 @@ export default async function generateEscPosCommands(xmlData, settings) {
    * @param {boolean} enable
    */
   function setBold(enable) {
+    textStyle.bold = Boolean(enable);
     commands.push(ESC, 0x45, enable ? 0x01 : 0x00); // ESC E n
   }
 
@@ -159,267 +294,75 @@ export default async function generateEscPosCommands(xmlData, settings) {
     if (enable) {
       mode = 0x30; // Double height and double width
     }
+    if (textStyle.bold) {
+      mode |= 0x08; // ESC ! also sets emphasis, so keep bold text bold
+    }
+    textStyle.doubleSize = enable;
     commands.push(ESC, 0x21, mode); // ESC ! n
   }
 
   /**
-   * Prints text and adds a line feed.
+   * Prints text without ending the line (e.g. a label before its value).
    * @param {string} text
    */
-  function printLine(text) {
-    commands.push(...encodeText(text), LF);
+  function printText(text) {
+    if (lineSegments.length === 0) lineStart = commands.length;
+    lineSegments.push({ text, bold: textStyle.bold });
+    commands.push(...encodeText(text));
   }
 
   /**
-   * Prints a separator line.
-   * @param {string} char The character to repeat.
-   * @param {number} width The approximate width of the thermal paper (e.g., 32 or 48 characters).
+   * Prints text and adds a line feed. A line the code page can't print (or
+   * every line, with rasterText 'always') is replaced by an image of itself.
+   * @param {string} text
    */
-  function printSeparator(char, width = 32) {
-    printLine(char.repeat(width));
-  }
-
-  // --- Define consistent print width ---
-  const TOTAL_RECEIPT_WIDTH = 42; // Adjust this based on your printer's max characters per line
-
-  // --- Start Generating Commands ---
-
-  // 0. Print Logo (if provided)
-  if (settings.logoUrl) {
-    setAlignment('center'); // Center logo
-    const logoCommands = await printImage(settings.logoUrl, 203, 384); // 203 DPI, target width 384px (common for 80mm printers)
-    commands.push(...Array.from(logoCommands));
-    printLine(""); // Add a line break after logo
-  }
-
-  // 1. Company Header (based on settings.headerAlignment)
-  setAlignment(settings.headerAlignment);
-  setBold(true);
-  setDoubleSize(true);
-  if (xmlData.company.name) {
-    const companyName = xmlData.company.name;
-    // For double-sized text, characters are typically 2x wider.
-    // A very conservative estimate for double-size line length to prevent splitting mid-word.
-    // Experiment with this value (e.g., 10, 12, 14) based on your printer.
-    const DOUBLE_SIZE_CHARS_PER_LINE = 14; // This is a safe bet for most 80mm printers
-
-    let remainingCompanyName = companyName;
-    while (remainingCompanyName.length > 0) {
-      let line = remainingCompanyName.substring(0, DOUBLE_SIZE_CHARS_PER_LINE);
-      // Find last space to avoid cutting words
-      const lastSpaceIndex = line.lastIndexOf(' ');
-      if (lastSpaceIndex > -1 && lastSpaceIndex > 0 && line.length === DOUBLE_SIZE_CHARS_PER_LINE) {
-        line = line.substring(0, lastSpaceIndex);
-        remainingCompanyName = remainingCompanyName.substring(lastSpaceIndex + 1);
-      } else {
-        remainingCompanyName = remainingCompanyName.substring(DOUBLE_SIZE_CHARS_PER_LINE);
-      }
-      printLine(line.trim()); // Trim to remove leading/trailing spaces from wrapping
+  function printLine(text) {
+    printText(text);
+    const segments = lineSegments;
+    lineSegments = [];
+
+    const lineText = segments.map(segment => segment.text).join('');
+    const asImage = lineText.trim() !== '' && (
+      settings.rasterText === 'always' ||
+      (settings.rasterText === 'auto' && !canEncode(lineText, profile.codePage))
+    );
+    const raster = asImage ? renderTextLine(segments, textStyle, profile, settings.rasterFontFamily) : null;
+    if (!raster?.length) {
+      commands.push(LF);
+      return;
     }
-  }
-  setDoubleSize(false);
-  setBold(false);
 
-  if (xmlData.company.address) {
-    xmlData.company.address.split('\n').forEach(line => printLine(line));
-  }
-  if (xmlData.company.phone) {
-    printLine(xmlData.company.phone);
-  }
-  if (xmlData.company.gstin) {
-    printLine(`GSTIN: ${xmlData.company.gstin}`);
+    // Drop the line's text commands; the image is aligned within itself, so
+    // print it left-aligned and then restore the alignment and bold in effect
+    commands.length = lineStart;
+    commands.push(ESC, 0x61, 0x00);
+    pushBytes(raster);
+    setAlignment(textStyle.alignment);
+    setBold(textStyle.bold);
   }
-  printLine("");
-
-  // 2. Invoice Type (Heading from parseTallyXML)
-  printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH); // Separator BEFORE heading
-  setAlignment('center');
-  setBold(true);
-  if (xmlData.heading) {
-    printLine(xmlData.heading);
-  }
-  setBold(false);
-  printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH); // Separator AFTER heading
-  printLine("");
-
-  // 3. Order Details
-  setAlignment('left');
-
-  // Voucher No
-  setBold(settings.sectionStyles.orderInfo.labelBold);
-  commands.push(...encodeText(`Voucher No: `));
-  setBold(settings.sectionStyles.orderInfo.valueBold);
-  printLine(`${xmlData.order.number || ''}`);
-
-  // Date
-  setBold(settings.sectionStyles.orderInfo.labelBold);
-  commands.push(...encodeText(`Date: `));
-  setBold(settings.sectionStyles.orderInfo.valueBold);
-  printLine(`${xmlData.order.date || ''}`);
-
-  // Entered By
-  setBold(settings.sectionStyles.orderInfo.labelBold);
-  commands.push(...encodeText(`Entered By: `));
-  setBold(settings.sectionStyles.orderInfo.valueBold);
-  printLine(`${xmlData.order.user || ''}`);
-  setBold(false);
-  printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH); // Separator AFTER Entered By
-  printLine("");
-
-  // 4. Party Details
-  if (xmlData.party.name) {
-    setBold(true);
-    printLine("PARTY DETAILS:");
-    setBold(false);
-    printLine(xmlData.party.name);
-    if (xmlData.party.address) {
-      xmlData.party.address.split('\n').forEach(line => printLine(line));
-    }
-    if (xmlData.party.gstin) {
-      printLine(`GSTIN: ${xmlData.party.gstin}`);
-    }
-    printLine("");
-  }
-
 
-  // 5. Items Table Header
-  const SNO_COL_WIDTH = 3;
-  const ITEM_NAME_COL_WIDTH = TOTAL_RECEIPT_WIDTH - SNO_COL_WIDTH - 1; // Item name takes remaining width on first line
-  const QTY_RATE_AMOUNT_LINE_INDENT = SNO_COL_WIDTH + 1; // Indent for Qty/Rate/Amount line
-
-  // Print Header
-  printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
-  setAlignment('left');
-  setBold(true);
-  printLine(
-    `${'S.No'.padEnd(SNO_COL_WIDTH)} ` +
-    `${'Item Name'.padEnd(ITEM_NAME_COL_WIDTH)}`
-  );
-  // Calculate remaining space for Qty/Rate/Amount header on a new line
-  const QTY_HEADER_WIDTH = 5;
-  const RATE_HEADER_WIDTH = 8;
-  const AMOUNT_HEADER_WIDTH = 8; // "Amount"
-  const QTY_RATE_AMOUNT_HEADER_SPACING = TOTAL_RECEIPT_WIDTH - QTY_RATE_AMOUNT_LINE_INDENT - QTY_HEADER_WIDTH - RATE_HEADER_WIDTH - AMOUNT_HEADER_WIDTH;
-
-  printLine(
-    `${' '.repeat(QTY_RATE_AMOUNT_LINE_INDENT)}` + // Indent for second header line
-    `${'Qty'.padEnd(QTY_HEADER_WIDTH)} ${'Rate'.padEnd(RATE_HEADER_WIDTH)} ${'Amount'.padStart(AMOUNT_HEADER_WIDTH)}`
-  );
-  setBold(false);
-  printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
-
-  // 6. Items List
-  if (xmlData.items && xmlData.items.length > 0) {
-    xmlData.items.forEach(item => {
-      const sNo = String(item.sNo).padEnd(SNO_COL_WIDTH);
-      let itemName = item.name;
-      const qty = parseFloat(item.qty).toFixed(2);
-      const rate = parseFloat(item.rate).toFixed(2);
-      const amount = parseFloat(item.amount).toFixed(2);
-
-      // First line: S.No and Item Name (bold)
-      setBold(true); // Item name bold
-      let currentItemNameLine = itemName.substring(0, ITEM_NAME_COL_WIDTH);
-      printLine(`${sNo} ${currentItemNameLine}`);
-      setBold(false); // Reset bold
-
-      // If item name is longer, print remaining parts on subsequent lines, indented
-      if (itemName.length > ITEM_NAME_COL_WIDTH) {
-        let remainingItemName = itemName.substring(ITEM_NAME_COL_WIDTH);
-        const indentForWrappedName = ' '.repeat(SNO_COL_WIDTH + 1); // Indent to align with item name
-        while (remainingItemName.length > 0) {
-          let line = remainingItemName.substring(0, TOTAL_RECEIPT_WIDTH - indentForWrappedName.length);
-          printLine(`${indentForWrappedName}${line}`);
-          remainingItemName = remainingItemName.substring(TOTAL_RECEIPT_WIDTH - indentForWrappedName.length);
-        }
+  // --- Render the receipt layout (see receiptLayout.js) ---
+  for (const section of buildReceiptLayout(xmlData, settings, profile, copy)) {
+    for (const block of section.blocks) {
+      if (block.align !== textStyle.alignment) setAlignment(block.align);
+
+      if (block.type === 'text') {
+        if (block.doubleSize !== textStyle.doubleSize) setDoubleSize(block.doubleSize);
+        block.segments.forEach(segment => {
+          if (segment.bold !== textStyle.bold) setBold(segment.bold);
+          printText(segment.text);
+        });
+        printLine("");
+      } else if (block.type === 'logo') {
+        pushBytes(await printImage(block.url, block.width, settings.logoImage));
+      } else if (block.type === 'qr') {
+        pushBytes(printQrCode(block.data, profile.dotWidth));
+      } else if (block.type === 'barcode') {
+        pushBytes(printBarcode(block.value, settings.barcode));
       }
-
-      // Second line: Qty, Rate, Amount on one line, right-aligned
-      // Format: "Qty: --- @ Rs. rate = Rs. Amount"
-      const qtyRateAmountText = `Qty: ${qty} @ Rs. ${rate} = Rs. ${amount}`;
-
-      // Calculate padding to right-align the entire line
-      const paddingForRightAlign = Math.max(0, TOTAL_RECEIPT_WIDTH - qtyRateAmountText.length);
-      printLine(' '.repeat(paddingForRightAlign) + qtyRateAmountText);
-      printLine(""); // Spacing after each item block
-    });
-  } else {
-    printLine("No items found.");
-  }
-  printLine(""); // Spacing after items
-
-  // 7. Totals
-  printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
-  setAlignment('right');
-  printLine(`Sub Total: ${xmlData.totals.subtotal || '0.00'}`);
-  if (parseFloat(xmlData.totals.cgst) > 0) printLine(`CGST: ${xmlData.totals.cgst}`);
-  if (parseFloat(xmlData.totals.sgst) > 0) printLine(`SGST: ${xmlData.totals.sgst}`);
-  if (parseFloat(xmlData.totals.igst) > 0) printLine(`IGST: ${xmlData.totals.igst}`);
-
-  setBold(true);
-  printLine(`TOTAL: Rs. ${xmlData.totals.total || '0.00'}`);
-  setBold(false);
-  printLine("");
-
-  // 8. Amount in Words
-  if (xmlData.amountInWords) {
-    setAlignment('left');
-    printLine(`Amount in Words:`);
-    setBold(true);
-    printLine(xmlData.amountInWords);
-    setBold(false);
-    printLine("");
-  }
-
-  // 9. Narration (Remarks)
-  if (xmlData.narration) {
-    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
-    setAlignment('center'); // Centrally aligned
-    setBold(true);
-    printLine("Remarks:"); // Changed heading to "Remarks"
-    setBold(false);
-    setAlignment('left'); // Reset to left for narration content
-    // Split narration into lines if it's too long for a single line
-    let currentNarration = xmlData.narration;
-    while (currentNarration.length > 0) {
-      let line = currentNarration.substring(0, TOTAL_RECEIPT_WIDTH);
-      printLine(line);
-      currentNarration = currentNarration.substring(TOTAL_RECEIPT_WIDTH);
-    }
-    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH); // Separator AFTER Remarks content
-    printLine("");
-  }
-
-  // 10. Terms and Conditions
-  if (xmlData.termsAndConditions) {
-    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
-    setAlignment('center');
-    printLine("Terms & Conditions:");
-    setAlignment('left');
-    let currentTerms = xmlData.termsAndConditions;
-    while (currentTerms.length > 0) {
-      let line = currentTerms.substring(0, TOTAL_RECEIPT_WIDTH);
-      printLine(line);
-      currentTerms = currentTerms.substring(TOTAL_RECEIPT_WIDTH);
     }
-    printLine("");
   }
 
-
-  // 11. Authorized Signatory
-  if (xmlData.authorizedSignatory) {
-    setAlignment('right');
-    printLine("");
-    printLine("");
-    printLine(xmlData.authorizedSignatory);
-    printLine("");
-  }
-
-  // 12. Thank you message
-  setAlignment('center');
-  printLine("Thank you for your business!");
-  printLine("");
-
   // Add extra line feeds at the end for paper to come out
   commands.push(LF, LF, LF, LF, LF);
 
@@ -1,219 +1,660 @@
 // 📁 File: src/parseTallyXML.js
 
+import amountToWords from './utils/amountInWords';
+import { stripInvalidXmlChars } from './utils/xmlEncoding';
+
+// Every heading parseVoucher can assign; also the keys of per-voucher-type settings
+export const VOUCHER_HEADINGS = [
+  'SALES INVOICE', 'SALES ORDER', 'MATERIAL CHALLAN', 'STOCK JOURNAL',
+  'CREDIT NOTE', 'DEBIT NOTE', 'REJECTION IN', 'REJECTION OUT',
+  'RECEIPT VOUCHER', 'PAYMENT VOUCHER', 'JOURNAL VOUCHER', 'CONTRA VOUCHER', 'DOCUMENT',
+];
+
+// Return voucher types (matched against VOUCHERTYPENAME) and their headings.
+// Custom "Sales Return"/"Purchase Return" types are credit and debit notes.
+const RETURN_TYPES = [
+  [/CREDIT NOTE|SALES RETURN/, 'CREDIT NOTE'],
+  [/DEBIT NOTE|PURCHASE RETURN/, 'DEBIT NOTE'],
+  [/REJECTIONS? IN\b/, 'REJECTION IN'],
+  [/REJECTIONS? OUT\b/, 'REJECTION OUT'],
+];
+
+// Accounting voucher types (matched against VOUCHERTYPENAME) and their headings
+const ACCOUNTING_TYPES = [
+  ['RECEIPT', 'RECEIPT VOUCHER'],
+  ['PAYMENT', 'PAYMENT VOUCHER'],
+  ['CONTRA', 'CONTRA VOUCHER'],
+  ['JOURNAL', 'JOURNAL VOUCHER'],
+];
+
+/**
+ * Parses a Tally XML export into a list of vouchers.
+ * Day-book and "Export all vouchers" files hold many <VOUCHER> elements;
+ * single-voucher exports simply yield a list of one.
+ *
+ * Problems are reported rather than thrown: file-level ones (bad XML, no
+ * vouchers) in `diagnostics`, and per-voucher ones in each voucher's own
+ * `diagnostics`. Each diagnostic is `{ severity: 'error'|'warning', code, message }`;
+ * errors mean the voucher shouldn't be printed as-is.
+ * @param {string} xmlString The raw XML text.
+ * @returns {{vouchers: object[], diagnostics: object[]}} The parsed vouchers and file-level diagnostics.
+ */
 export default function parseTallyXML(xmlString) {
   try {
-    // This line is crucial for handling the invalid &#4; character from Tally
-    const cleaned = xmlString.replace(/&#4;/g, '');
+    // This line is crucial for handling the invalid &#4; (and similar) characters from Tally
+    const cleaned = stripInvalidXmlChars(xmlString);
     const parser = new DOMParser();
     const xmlDoc = parser.parseFromString(cleaned, 'application/xml');
     const parseError = xmlDoc.querySelector('parsererror');
     if (parseError) {
       const errorText = parseError.textContent || 'Unknown XML parsing error.';
       console.error('DOMParser Error:', errorText);
-      throw new Error('Invalid XML format: ' + errorText);
+      return fileError('INVALID_XML', 'Invalid XML format: ' + errorText);
     }
 
-    const voucher = xmlDoc.querySelector('VOUCHER');
-    if (!voucher) throw new Error('<VOUCHER> element not found in XML.');
-
-    // Helper functions to get text content from elements
-    const get = (tag, node = voucher) => node.querySelector(tag)?.textContent?.trim() || '';
-    const getAll = (tag, node = voucher) => Array.from(node.querySelectorAll(tag));
+    const voucherElements = Array.from(xmlDoc.querySelectorAll('VOUCHER'));
+    if (voucherElements.length === 0) {
+      const lineError = xmlDoc.querySelector('LINEERROR')?.textContent?.trim();
+      return fileError('NO_VOUCHERS', lineError
+        ? `Tally reported an error instead of vouchers: ${lineError}`
+        : 'No <VOUCHER> elements found. Is this a Tally voucher export?');
+    }
 
     // Company name is usually in SVCURRENTCOMPANY under REQUESTDESC
     const companyElement = xmlDoc.querySelector('REQUESTDESC > STATICVARIABLES > SVCURRENTCOMPANY');
     const companyName = companyElement?.textContent?.trim() || '';
+    const masters = {
+      company: parseCompanyMaster(xmlDoc, companyName),
+      unitDecimals: parseUnitMasters(xmlDoc),
+    };
+
+    const vouchers = voucherElements.map((voucher, index) => ({
+      id: index,
+      ...parseVoucher(voucher, masters),
+    }));
+    return { vouchers, diagnostics: [] };
+  } catch (err) {
+    console.error('XML Parse Error (DOMParser):', err);
+    return fileError('PARSE_FAILED', `Failed to read the voucher data: ${err.message}`);
+  }
+}
+
+// Result for a file that yielded no vouchers at all
+function fileError(code, message) {
+  return { vouchers: [], diagnostics: [{ severity: 'error', code, message }] };
+}
+
+/**
+ * Reads the company's contact details from a <COMPANY> master, when the
+ * export includes one (e.g. a combined masters + vouchers export).
+ * @param {Document} xmlDoc The parsed export.
+ * @param {string} companyName The current company, used to pick the right master.
+ * @returns {object} Company `name`, `gstin`, `address`, `state`, `pincode`, `phone` and `email` ('' where absent).
+ */
+function parseCompanyMaster(xmlDoc, companyName) {
+  const masters = Array.from(xmlDoc.querySelectorAll('COMPANY'));
+  const master = masters.find((m) => m.getAttribute('NAME') === companyName) || masters[0];
+  const get = (tag) => master?.querySelector(tag)?.textContent?.trim() || '';
+
+  return {
+    name: companyName || master?.getAttribute('NAME') || '',
+    gstin: get('GSTREGISTRATIONNUMBER') || get('GSTIN'),
+    address: master
+      ? Array.from(master.querySelectorAll('ADDRESS\\.LIST > ADDRESS')).map((a) => a.textContent.trim()).filter(Boolean).join('\n')
+      : '',
+    state: get('STATENAME'),
+    pincode: get('PINCODE'),
+    phone: get('PHONENUMBER') || get('MOBILENUMBERS\\.LIST > MOBILENUMBERS'),
+    email: get('EMAIL'),
+  };
+}
+
+/**
+ * Reads the number of decimal places of each unit of measure from any
+ * <UNIT> masters in the export.
+ * @param {Document} xmlDoc The parsed export.
+ * @returns {Object<string, number>} Decimal places keyed by unit name.
+ */
+function parseUnitMasters(xmlDoc) {
+  const unitDecimals = {};
+  xmlDoc.querySelectorAll('UNIT[NAME]').forEach((unit) => {
+    const decimals = parseInt(unit.querySelector('DECIMALPLACES')?.textContent, 10);
+    if (!isNaN(decimals)) unitDecimals[unit.getAttribute('NAME').toUpperCase()] = decimals;
+  });
+  return unitDecimals;
+}
+
+/**
+ * Extracts the printable details of a single <VOUCHER> element.
+ * @param {Element} voucher The voucher element.
+ * @param {object} masters Details from the export's masters: `company` (see
+ *   parseCompanyMaster) and `unitDecimals` (see parseUnitMasters).
+ * @returns {object} The parsed voucher.
+ */
+function parseVoucher(voucher, { company, unitDecimals }) {
+  // Helper functions to get text content from elements
+  const get = (tag, node = voucher) => node.querySelector(tag)?.textContent?.trim() || '';
+  const getAll = (tag, node = voucher) => Array.from(node.querySelectorAll(tag));
 
-    // Address handling (using BASICBUYERADDRESS.LIST as in your original code)
-    const address = getAll('BASICBUYERADDRESS\\.LIST > BASICBUYERADDRESS', voucher)
-      .map(a => a.textContent.trim())
-      .join('\n');
+  // Address handling (using BASICBUYERADDRESS.LIST as in your original code)
+  const address = getAll('BASICBUYERADDRESS\\.LIST > BASICBUYERADDRESS', voucher)
+    .map(a => a.textContent.trim())
+    .join('\n');
 
-    // Helper to parse quantity (e.g., "10 NOS" -> "10")
-    const parseQty = (qtyStr) => {
-      const [qty] = qtyStr.trim().split(' ');
-      return isNaN(parseFloat(qty)) ? '0' : qty;
+  // Helper to parse a quantity with its unit and any alternate-unit quantity
+  // (e.g. "10 NOS" -> 10 NOS, "2 BOX = 24 PCS" -> 2 BOX and 24 PCS)
+  const parseQty = (qtyStr) => {
+    const [primary, alternate = ''] = qtyStr.split('=');
+    const splitUnit = (text) => {
+      const match = text.trim().match(/^(-?[\d,]*\.?\d+)\s*(.*)$/);
+      return match ? { value: match[1].replace(/,/g, ''), unit: match[2].trim() } : { value: '', unit: '' };
     };
+    const { value, unit } = splitUnit(primary);
+    const alt = splitUnit(alternate);
+    // Tally writes quantities with the unit's decimal places, so the text itself
+    // is the fallback when the export has no unit masters
+    const decimalsOf = (text, unitName) => unitDecimals[unitName.toUpperCase()] ?? (text.split('.')[1]?.length || 0);
+    return {
+      qty: isNaN(parseFloat(value)) ? '0' : String(Math.abs(parseFloat(value))),
+      unit,
+      qtyDecimals: decimalsOf(value, unit),
+      altQty: alt.value ? String(Math.abs(parseFloat(alt.value))) : '',
+      altUnit: alt.unit,
+      altQtyDecimals: decimalsOf(alt.value, alt.unit),
+    };
+  };
 
-    // Helper to parse item details from a specific inventory entry list
-    // This now expects a NodeList (or array) of elements, not a single element
-    const parseItemsFromList = (listElements) => {
-      if (!listElements || listElements.length === 0) return [];
-      return Array.from(listElements).map((el) => { // Ensure it's iterable
-        const qty = parseQty(get('ACTUALQTY', el));
-        const rate = parseFloat(get('RATE', el)?.split('/')[0] || 0).toFixed(2);
-        const amount = Math.abs(parseFloat(get('AMOUNT', el) || 0)).toFixed(2); // Use Math.abs for amount
-        return { name: get('STOCKITEMNAME', el), qty, rate, amount };
-      });
+  // Helper to parse an item's batch/godown allocations. Tally's own placeholders
+  // ("Not Applicable" tracking numbers etc.) are dropped.
+  const parseBatches = (el) => getAll('BATCHALLOCATIONS\\.LIST', el).map((b) => {
+    const text = (tag) => {
+      const value = get(tag, b);
+      return /^(not applicable|any)$/i.test(value) ? '' : value;
+    };
+    return {
+      godown: text('GODOWNNAME'),
+      batch: text('BATCHNAME'),
+      mfgDate: formatTallyDateText(text('MFDON')),
+      expiryDate: formatTallyDateText(text('EXPIRYPERIOD')),
+      trackingNumber: text('TRACKINGNUMBER'),
+      ...parseQty(get('ACTUALQTY', b)),
     };
+  }).filter((b) => b.godown || b.batch || b.mfgDate || b.expiryDate || b.trackingNumber);
+
+  // Helper to parse item details from a specific inventory entry list
+  // This now expects a NodeList (or array) of elements, not a single element
+  const parseItemsFromList = (listElements) => {
+    if (!listElements || listElements.length === 0) return [];
+    return Array.from(listElements).map((el) => { // Ensure it's iterable
+      const quantity = parseQty(get('ACTUALQTY', el));
+      // RATE is "price/unit", e.g. "45.50/KGS"
+      const [rateValue, rateUnit = ''] = get('RATE', el).split('/');
+      const rate = (parseFloat(rateValue.replace(/[^\d.-]/g, '')) || 0).toFixed(2);
+      const amount = Math.abs(parseFloat(get('AMOUNT', el) || 0)).toFixed(2); // Use Math.abs for amount
+      const hsn = get('GSTHSNNAME', el) || get('HSNCODE', el) || get('GSTHSNCODE', el);
+      return {
+        name: get('STOCKITEMNAME', el),
+        ...quantity,
+        rate,
+        rateUnit: rateUnit.trim(),
+        amount,
+        hsn,
+        gstRate: parseGstRate(el),
+        batches: parseBatches(el),
+      };
+    });
+  };
+
+  // Helper to read an item's GST rate from its RATEDETAILS.LIST entries
+  // (one per duty head). IGST carries the full rate; otherwise CGST + SGST.
+  const parseGstRate = (el) => {
+    const rateDetails = getAll('RATEDETAILS\\.LIST', el).map((r) => ({
+      head: get('GSTRATEDUTYHEAD', r).toUpperCase(),
+      rate: parseFloat(get('GSTRATE', r)) || 0,
+    }));
+    if (rateDetails.length === 0) return null;
+    const rateFor = (head) => rateDetails.find((r) => r.head.startsWith(head))?.rate || 0;
+    return rateFor('IGST') || rateFor('CGST') + rateFor('SGST');
+  };
 
-    let items = [];
-    const voucherTypeName = get('VOUCHERTYPENAME').toUpperCase();
-    const objView = get('OBJVIEW').toUpperCase();
+  let items = [];
+  let stockJournal = null;
+  const voucherTypeName = get('VOUCHERTYPENAME').toUpperCase();
+  const objView = get('OBJVIEW').toUpperCase();
+  const isStockJournal = voucherTypeName.includes('STOCK JOURNAL') || objView.includes('CONSUMPTION VOUCHER VIEW');
+  const returnHeading = RETURN_TYPES.find(([pattern]) => pattern.test(voucherTypeName))?.[1] || null;
+  // Receipt Notes (goods received) and the inventory types above are not accounting vouchers
+  const isInventoryType = isStockJournal || Boolean(returnHeading) || /SALES|MATERIAL OUT|DELIVERY|RECEIPT NOTE/.test(voucherTypeName);
+  const accountingHeading = isInventoryType
+    ? null
+    : ACCOUNTING_TYPES.find(([type]) => voucherTypeName.includes(type))?.[1] || null;
 
-    // --- Conditional Item Parsing Logic ---
-    if (voucherTypeName.includes('STOCK JOURNAL') || objView.includes('CONSUMPTION VOUCHER VIEW')) {
-      // For Stock Journal, prioritize INVENTORYENTRIESOUT.LIST
-      // These usually represent the items being "transferred out" or "produced".
+  // --- Conditional Item Parsing Logic ---
+  if (isStockJournal) {
+    // For Stock Journal, INVENTORYENTRIESIN.LIST holds the raw materials consumed
+    // and INVENTORYENTRIESOUT.LIST the items "transferred out" or "produced".
+    const consumed = parseItemsFromList(getAll('INVENTORYENTRIESIN\\.LIST', voucher));
+    const produced = parseItemsFromList(getAll('INVENTORYENTRIESOUT\\.LIST', voucher));
+    stockJournal = { consumed: summarizeStockSection(consumed), produced: summarizeStockSection(produced) };
+    items = [...consumed, ...produced];
+  } else if (!returnHeading && (voucherTypeName.includes('SALES ORDER') || voucherTypeName.includes('SALES'))) {
+    // For Sales Orders/Sales, prioritize ALLINVENTORYENTRIES.LIST
+    // If empty, fall back to INVENTORYENTRIESOUT.LIST
+    const allInventoryEntries = getAll('ALLINVENTORYENTRIES\\.LIST', voucher); // Use getAll
+    items = parseItemsFromList(allInventoryEntries);
+    if (items.length === 0) {
       const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
       items = parseItemsFromList(inventoryEntriesOut);
-    } else if (voucherTypeName.includes('SALES ORDER') || voucherTypeName.includes('SALES')) {
-      // For Sales Orders/Sales, prioritize ALLINVENTORYENTRIES.LIST
-      // If empty, fall back to INVENTORYENTRIESOUT.LIST
+    }
+  } else if (voucherTypeName.includes('MATERIAL OUT') || voucherTypeName.includes('DELIVERY')) {
+    // For Material Out/Delivery, prioritize INVENTORYENTRIESOUT.LIST
+    // If empty, fall back to ALLINVENTORYENTRIES.LIST
+    const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
+    items = parseItemsFromList(inventoryEntriesOut);
+    if (items.length === 0) {
       const allInventoryEntries = getAll('ALLINVENTORYENTRIES\\.LIST', voucher); // Use getAll
       items = parseItemsFromList(allInventoryEntries);
-      if (items.length === 0) {
-        const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
-        items = parseItemsFromList(inventoryEntriesOut);
-      }
-    } else if (voucherTypeName.includes('MATERIAL OUT') || voucherTypeName.includes('DELIVERY')) {
-      // For Material Out/Delivery, prioritize INVENTORYENTRIESOUT.LIST
-      // If empty, fall back to ALLINVENTORYENTRIES.LIST
-      const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
-      items = parseItemsFromList(inventoryEntriesOut);
-      if (items.length === 0) {
-        const allInventoryEntries = getAll('ALLINVENTORYENTRIES\\.LIST', voucher); // Use getAll
-        items = parseItemsFromList(allInventoryEntries);
-      }
-    } else {
-      // Fallback for other or unknown voucher types: combine all
-      const allInventoryEntries = getAll('ALLINVENTORYENTRIES\\.LIST', voucher); // Use getAll
-      const inventoryEntriesIn = getAll('INVENTORYENTRIESIN\\.LIST', voucher); // Use getAll
-      const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
-
-      items = [
-        ...parseItemsFromList(allInventoryEntries),
-        ...parseItemsFromList(inventoryEntriesIn),
-        ...parseItemsFromList(inventoryEntriesOut),
-      ];
     }
+  } else {
+    // Fallback for other or unknown voucher types: combine all
+    const allInventoryEntries = getAll('ALLINVENTORYENTRIES\\.LIST', voucher); // Use getAll
+    const inventoryEntriesIn = getAll('INVENTORYENTRIESIN\\.LIST', voucher); // Use getAll
+    const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
 
-    // Assign sNo after the final items list is determined
-    items.forEach((item, index) => {
-      item.sNo = index + 1;
-    });
+    items = [
+      ...parseItemsFromList(allInventoryEntries),
+      ...parseItemsFromList(inventoryEntriesIn),
+      ...parseItemsFromList(inventoryEntriesOut),
+    ];
+  }
 
-    const subtotal = items.reduce((sum, i) => sum + parseFloat(i.amount), 0);
+  // Assign sNo after the final items list is determined
+  items.forEach((item, index) => {
+    item.sNo = index + 1;
+  });
 
-    // Extract Ledger Entries for GST and Total
-    const ledgerEntries = getAll('LEDGERENTRIES\\.LIST', voucher);
-    const findAmount = (ledgerName) => {
-      const entry = ledgerEntries.find((n) => get('LEDGERNAME', n) === ledgerName);
-      return parseFloat(entry?.querySelector('AMOUNT')?.textContent || 0);
-    };
+  const subtotal = items.reduce((sum, i) => sum + parseFloat(i.amount), 0);
 
-    const igst = findAmount('IGST');
-    const cgst = findAmount('CGST');
-    const sgst = findAmount('SGST') || findAmount('SGST/UTGST'); // Handle both SGST and SGST/UTGST
+  // Extract Ledger Entries for taxes, charges and the Total
+  // (invoice-mode exports use LEDGERENTRIES.LIST, voucher-mode ones ALLLEDGERENTRIES.LIST)
+  const ledgerEntries = getAll('LEDGERENTRIES\\.LIST, ALLLEDGERENTRIES\\.LIST', voucher);
+  const ledgerAmount = (entry) => parseFloat(get(':scope > AMOUNT', entry) || 0);
 
-    // Find the party ledger entry for the total amount
-    const partyAmountEntry = ledgerEntries.find((n) => get('ISPARTYLEDGER', n) === 'Yes');
-    const total = partyAmountEntry
-      ? Math.abs(parseFloat(get('AMOUNT', partyAmountEntry) || 0)).toFixed(2)
-      : subtotal.toFixed(2); // Fallback to subtotal if party ledger not found
+  /**
+   * Reads the ledger lines of an accounting voucher, with their bill-wise
+   * allocations and cheque/instrument details.
+   * @param {Element[]} entries The voucher's ledger entry elements.
+   * @returns {object} `entries` (each `{ name, side: 'Dr'|'Cr', amount, bills, instruments }`),
+   *   `paymentMode`, and the `debitTotal` and `creditTotal` as strings.
+   */
+  const parseAccountingEntries = (entries) => {
+    const lines = entries.map((entry) => {
+      const amount = ledgerAmount(entry);
+      return {
+        name: get('LEDGERNAME', entry),
+        side: amount < 0 ? 'Dr' : 'Cr', // Tally writes debits as negative amounts
+        amount: Math.abs(amount).toFixed(2),
+        bills: getAll('BILLALLOCATIONS\\.LIST', entry).map((b) => ({
+          type: get('BILLTYPE', b), // "Agst Ref", "New Ref", "Advance" or "On Account"
+          ref: get('NAME', b),
+          amount: Math.abs(parseFloat(get('AMOUNT', b) || 0)).toFixed(2),
+        })).filter((b) => b.ref || b.type),
+        instruments: getAll('BANKALLOCATIONS\\.LIST', entry).map((b) => ({
+          mode: get('TRANSACTIONTYPE', b),
+          number: get('INSTRUMENTNUMBER', b) || get('UNIQUEREFERENCENUMBER', b),
+          date: formatTallyDateText(get('INSTRUMENTDATE', b)),
+          bank: get('BANKNAME', b),
+        })).filter((i) => i.mode || i.number),
+      };
+    }).filter((line) => line.name);
 
-    // Determine heading based on voucher type
-    let heading = 'DOCUMENT';
-    if (voucherTypeName.includes('SALES ORDER')) heading = 'SALES ORDER';
-    else if (voucherTypeName.includes('MATERIAL OUT') || voucherTypeName.includes('DELIVERY')) heading = 'MATERIAL CHALLAN';
-    else if (voucherTypeName.includes('SALES')) heading = 'SALES INVOICE'; // Added for general sales
-    else if (voucherTypeName.includes('STOCK JOURNAL')) heading = 'STOCK JOURNAL'; // Specific for Stock Journal
+    const sideTotal = (side) => roundAmount(
+      lines.filter((line) => line.side === side).reduce((sum, line) => sum + parseFloat(line.amount), 0)
+    ).toFixed(2);
+    // Bank lines say how the money moved; a cash ledger on its own means cash
+    const instrument = lines.flatMap((line) => line.instruments)[0];
+    const paymentMode = instrument?.mode || (lines.some((line) => /\bcash\b/i.test(line.name)) ? 'Cash' : '');
 
-    // Narration (if present)
-    const narration = get('NARRATION') || '';
+    return { entries: lines, paymentMode, debitTotal: sideTotal('Dr'), creditTotal: sideTotal('Cr') };
+  };
 
+  // The document a credit/debit note or rejection reverses. Newer Tally releases
+  // export the original invoice fields; older ones only have the party's
+  // "Agst Ref" bill allocation, or the reference number.
+  const parseReturnOf = () => {
+    const againstRef = getAll('BILLALLOCATIONS\\.LIST', voucher).find((b) => get('BILLTYPE', b) === 'Agst Ref');
     return {
-      heading,
-      company: { name: companyName, gstin: get('CMPGSTIN') },
-      order: {
-        number: get('VOUCHERNUMBER'),
-        date: formatDate(get('DATE')), // Use the local formatDate helper
-        user: get('ENTEREDBY'),
-      },
-      party: {
-        name: get('PARTYNAME'),
-        address,
-        gstin: get('PARTYGSTIN'),
-      },
-      items,
-      totals: {
-        subtotal: subtotal.toFixed(2),
-        igst: igst.toFixed(2),
-        cgst: cgst.toFixed(2),
-        sgst: sgst.toFixed(2),
-        total,
-      },
-      narration,
+      number: get(':scope > ORIGINALINVOICENO') || (againstRef ? get('NAME', againstRef) : '') || get(':scope > REFERENCE'),
+      date: formatTallyDateText(get(':scope > ORIGINALINVOICEDATE') || get(':scope > REFERENCEDATE')),
+      reason: get(':scope > REASONFORISSUINGNOTE') || get(':scope > GSTNATUREOFRETURN'),
     };
-  } catch (err) {
-    console.error('XML Parse Error (DOMParser):', err);
-    return null;
-  }
-}
+  };
 
-// Local helper function for date formatting
-function formatDate(d) {
-  return d ? `${d.slice(6, 8)}-${d.slice(4, 6)}-${d.slice(0, 4)}` : '';
+  // E-invoice details from the IRP (IRN, acknowledgement and signed QR) and the
+  // e-way bill number, which Tally keeps on the voucher once generated
+  const parseEInvoice = () => {
+    const eInvoice = {
+      irn: get(':scope > IRN'),
+      ackNo: get(':scope > IRNACKNO') || get(':scope > ACKNO'),
+      ackDate: formatTallyDateText(get(':scope > IRNACKDATE') || get(':scope > ACKDATE')),
+      signedQr: get(':scope > IRNQRCODE') || get(':scope > SIGNEDQRCODE'),
+      ewayBillNo: get('EWAYBILLDETAILS\\.LIST > BILLNUMBER') || get(':scope > EWAYBILLNO'),
+    };
+    return Object.values(eInvoice).some(Boolean) ? eInvoice : null;
+  };
+
+  // Receipts, payments, journals and contras print their ledger lines instead of items
+  const accounting = accountingHeading ? parseAccountingEntries(ledgerEntries) : null;
+
+  // Find the party ledger entry for the total amount
+  const partyAmountEntry = ledgerEntries.find((n) => get('ISPARTYLEDGER', n) === 'Yes');
+  let total = partyAmountEntry
+    ? Math.abs(ledgerAmount(partyAmountEntry)).toFixed(2)
+    : subtotal.toFixed(2); // Fallback to subtotal if party ledger not found
+  if (accounting) total = accounting.debitTotal; // The voucher amount is what's debited (and credited)
+
+  // Charges and taxes sit on the opposite side of the party ledger. Flip the
+  // sign so that anything that adds to the bill is positive, whichever side
+  // of the books the voucher is on (sales vs purchase).
+  const billSign = partyAmountEntry && ledgerAmount(partyAmountEntry) > 0 ? -1 : 1;
+  // (accounting vouchers have no bill to adjust; their lines are in `accounting`)
+  const adjustments = classifyLedgerEntries(
+    ledgerEntries
+      .filter((n) => !accounting && n !== partyAmountEntry && get('ISPARTYLEDGER', n) !== 'Yes')
+      .map((n) => ({
+        name: get('LEDGERNAME', n),
+        amount: billSign * ledgerAmount(n),
+        rate: parseFloat(get('RATEOFINVOICETAX', n)) || null,
+      }))
+  );
+
+  // Determine heading based on voucher type (see VOUCHER_HEADINGS)
+  let heading = 'DOCUMENT';
+  if (returnHeading) heading = returnHeading; // Before the sales checks, so "Sales Return" isn't an invoice
+  else if (voucherTypeName.includes('SALES ORDER')) heading = 'SALES ORDER';
+  else if (voucherTypeName.includes('MATERIAL OUT') || voucherTypeName.includes('DELIVERY')) heading = 'MATERIAL CHALLAN';
+  else if (voucherTypeName.includes('SALES')) heading = 'SALES INVOICE'; // Added for general sales
+  else if (isStockJournal) heading = 'STOCK JOURNAL'; // Specific for Stock Journal (and consumption views)
+  else if (accountingHeading) heading = accountingHeading;
+
+  // Narration (if present)
+  const narration = get('NARRATION') || '';
+
+  const parsed = {
+    heading,
+    voucherType: get('VOUCHERTYPENAME'),
+    company: {
+      ...company,
+      gstin: get('CMPGSTIN') || company.gstin,
+      state: company.state || get('CMPGSTSTATE'),
+    },
+    order: {
+      number: get('VOUCHERNUMBER'),
+      date: formatDate(get('DATE')), // Use the local formatDate helper
+      user: get('ENTEREDBY'),
+    },
+    party: {
+      // Receipts and payments often carry only the party's ledger name
+      name: get('PARTYNAME') || (accounting ? get('PARTYLEDGERNAME') : ''),
+      address,
+      gstin: get('PARTYGSTIN'),
+    },
+    items,
+    totals: {
+      subtotal: subtotal.toFixed(2),
+      ...adjustments,
+      total,
+    },
+    // Stock journals move stock rather than bill anyone, so they get no money totals
+    amountInWords: stockJournal ? '' : amountToWords(total),
+    hsnSummary: stockJournal ? null : summarizeByHsn(items, parseFloat(adjustments.igst) > 0, adjustments),
+    stockJournal,
+    accounting,
+    returnOf: returnHeading ? parseReturnOf() : null,
+    eInvoice: parseEInvoice(),
+    narration,
+  };
+  return { ...parsed, diagnostics: diagnoseVoucher(parsed, Boolean(partyAmountEntry)) };
 }
 
+// Voucher kinds that are billed to a party, and those that must list stock items
+const PARTY_HEADINGS = ['SALES INVOICE', 'SALES ORDER', 'MATERIAL CHALLAN', 'CREDIT NOTE', 'DEBIT NOTE'];
+const INVENTORY_HEADINGS = ['SALES INVOICE', 'SALES ORDER', 'MATERIAL CHALLAN', 'STOCK JOURNAL', 'REJECTION IN', 'REJECTION OUT'];
+
 /**
- * Converts a number to Indian Rupee words (simplified).
- * This is a basic implementation and may not cover all edge cases.
- * @param {number} num The number to convert.
- * @returns {string} The number in words.
+ * Checks a parsed voucher for problems that would make its printout wrong
+ * or incomplete.
+ * @param {object} voucher The parsed voucher.
+ * @param {boolean} hasPartyLedger Whether a party ledger line was found for the total.
+ * @returns {object[]} The voucher's diagnostics; see parseTallyXML.
  */
-function convertNumberToWords(num) {
-  const a = ['', 'one ', 'two ', 'three ', 'four ', 'five ', 'six ', 'seven ', 'eight ', 'nine ', 'ten ', 'eleven ', 'twelve ', 'thirteen ', 'fourteen ', 'fifteen ', 'sixteen ', 'seventeen ', 'eighteen ', 'nineteen '];
-  const b = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
-  const c = ['hundred', 'thousand', 'lakh', 'crore'];
-
-  function inWords(n) {
-    let s = '';
-    if (n < 20) {
-      s = a[n];
-    } else {
-      s = b[Math.floor(n / 10)] + ' ' + a[n % 10];
-    }
-    return s;
+function diagnoseVoucher(voucher, hasPartyLedger) {
+  const diagnostics = [];
+  const add = (severity, code, message) => diagnostics.push({ severity, code, message });
+
+  if (voucher.heading === 'DOCUMENT') {
+    add('warning', 'UNKNOWN_VOUCHER_TYPE', `Voucher type "${voucher.voucherType || '(none)'}" isn't recognised; it will print as a generic document.`);
   }
+  if (!voucher.order.number) add('warning', 'MISSING_VOUCHER_NUMBER', 'The voucher has no voucher number.');
+  if (!voucher.order.date) add('warning', 'MISSING_DATE', 'The voucher has no date.');
 
-  let n = num.toFixed(2).toString().split('.');
-  let rupee = parseFloat(n[0]);
-  let paisa = parseFloat(n[1]);
+  if (voucher.returnOf && !voucher.returnOf.number) {
+    add('warning', 'MISSING_ORIGINAL_INVOICE', 'No original invoice reference found on the return voucher.');
+  }
 
-  let str = '';
-  let parts = [];
+  if (voucher.eInvoice?.irn && !voucher.eInvoice.signedQr) {
+    add('warning', 'MISSING_SIGNED_QR', 'The e-invoice has an IRN but no signed QR code; the QR will not be printed.');
+  }
 
-  if (rupee === 0) {
-    str += 'Zero ';
-  } else {
-    if (rupee >= 10000000) { // Crores
-      parts.push(inWords(Math.floor(rupee / 10000000)) + 'crore ');
-      rupee %= 10000000;
-    }
-    if (rupee >= 100000) { // Lakhs
-      parts.push(inWords(Math.floor(rupee / 100000)) + 'lakh ');
-      rupee %= 100000;
-    }
-    if (rupee >= 1000) { // Thousands
-      parts.push(inWords(Math.floor(rupee / 1000)) + 'thousand ');
-      rupee %= 1000;
+  if (PARTY_HEADINGS.includes(voucher.heading)) {
+    if (!voucher.party.name) add('error', 'MISSING_PARTY', 'No party name found on the voucher.');
+    if (!hasPartyLedger) add('warning', 'MISSING_PARTY_LEDGER', 'No party ledger line found; the total shown is the item subtotal.');
+  }
+
+  if (voucher.accounting) {
+    const { entries, debitTotal, creditTotal } = voucher.accounting;
+    if (entries.length === 0) add('error', 'NO_LEDGERS', 'The voucher has no ledger lines.');
+    if (Math.abs(parseFloat(debitTotal) - parseFloat(creditTotal)) > 0.05) {
+      add('error', 'UNBALANCED', `Debits (${debitTotal}) and credits (${creditTotal}) don't match.`);
     }
-    if (rupee >= 100) { // Hundreds
-      parts.push(inWords(Math.floor(rupee / 100)) + 'hundred ');
-      rupee %= 100;
+  } else if (voucher.items.length === 0) {
+    if (INVENTORY_HEADINGS.includes(voucher.heading)) {
+      add('error', 'NO_ITEMS', 'The voucher has no stock items.');
+    } else {
+      add('warning', 'NO_ITEMS', 'The voucher has no stock items.');
     }
-    if (rupee > 0) {
-      parts.push(inWords(rupee));
+  }
+
+  if (hasPartyLedger && !voucher.accounting) {
+    const { subtotal, charges, discounts, taxes, roundOff, total } = voucher.totals;
+    const sumOf = (lines) => lines.reduce((sum, line) => sum + parseFloat(line.amount), 0);
+    const expected = roundAmount(
+      parseFloat(subtotal) + sumOf(charges) - sumOf(discounts) + sumOf(taxes) + parseFloat(roundOff)
+    );
+    if (Math.abs(expected - parseFloat(total)) > 0.05) {
+      add('error', 'TOTAL_MISMATCH',
+        `Items, taxes and charges add up to ${expected.toFixed(2)}, but the party ledger total is ${total}.`);
     }
-    str += parts.join('').trim();
   }
 
-  str += ' Rupees';
+  return diagnostics;
+}
 
-  if (paisa > 0) {
-    str += ' and ' + inWords(paisa) + ' Paisa';
-  }
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// GST heads as they appear in ledger names like "Output CGST @9%" or "SGST/UTGST"
+const TAX_HEAD_PATTERNS = [
+  ['IGST', /\bIGST\b/i],
+  ['CGST', /\bCGST\b/i],
+  ['SGST', /\bSGST\b/i],
+  ['UTGST', /\bUTGST\b/i],
+  ['CESS', /\bCESS\b/i],
+  ['TCS', /\bTCS\b/i],
+  ['GST', /\bGST\b/i],
+];
+
+/**
+ * Classifies the non-party ledger lines of a voucher into taxes, charges,
+ * discounts and round-off, so every line can be shown on the receipt.
+ * Taxes are grouped by head and rate; other lines are kept by ledger name.
+ * @param {{name: string, amount: number, rate: number|null}[]} entries Ledger lines,
+ *   with amounts that add to the bill positive.
+ * @returns {object} The `taxes`, `charges`, `discounts` and `roundOff` totals, plus
+ *   `cgst`/`sgst`/`igst` sums for the common heads.
+ */
+function classifyLedgerEntries(entries) {
+  const taxGroups = new Map();
+  const charges = [];
+  const discounts = [];
+  let roundOff = 0;
+
+  entries.forEach(({ name, amount, rate }) => {
+    if (!amount) return;
+
+    const taxHead = TAX_HEAD_PATTERNS.find(([, pattern]) => pattern.test(name))?.[0];
+    if (taxHead) {
+      const rateInName = name.match(/(\d+(?:\.\d+)?)\s*%/);
+      const taxRate = rateInName ? parseFloat(rateInName[1]) : rate;
+      const key = `${taxHead}@${taxRate ?? ''}`;
+      const group = taxGroups.get(key) || { head: taxHead, rate: taxRate, amount: 0 };
+      group.amount += amount;
+      taxGroups.set(key, group);
+    } else if (/round(ed|ing)?[\s-]*off/i.test(name)) {
+      roundOff += amount;
+    } else if (/discount|\bdisc\b|rebate/i.test(name) || amount < 0) {
+      discounts.push({ name, amount: Math.abs(amount).toFixed(2) });
+    } else {
+      charges.push({ name, amount: amount.toFixed(2) });
+    }
+  });
+
+  const taxes = Array.from(taxGroups.values()).map((group) => ({
+    head: group.head,
+    rate: group.rate,
+    label: group.rate !== null ? `${group.head} @${group.rate}%` : group.head,
+    amount: roundAmount(group.amount).toFixed(2),
+  }));
+  const sumHead = (...heads) => roundAmount(
+    taxes.filter((t) => heads.includes(t.head)).reduce((sum, t) => sum + parseFloat(t.amount), 0)
+  ).toFixed(2);
+
+  return {
+    taxes,
+    charges,
+    discounts,
+    roundOff: roundAmount(roundOff).toFixed(2),
+    cgst: sumHead('CGST'),
+    sgst: sumHead('SGST', 'UTGST'),
+    igst: sumHead('IGST'),
+  };
+}
+
+/**
+ * Numbers one side of a stock journal (consumed or produced) on its own
+ * and totals its quantity, per unit, and value.
+ * @param {object[]} items The parsed items on that side.
+ * @returns {{items: object[], qtyTotals: object[], value: string}} `qtyTotals` holds
+ *   one `{ qty, unit, qtyDecimals }` per unit, so it can be shown with formatQuantity.
+ */
+function summarizeStockSection(items) {
+  const byUnit = new Map();
+  items.forEach((item) => {
+    const total = byUnit.get(item.unit) || { qty: 0, unit: item.unit, qtyDecimals: 0 };
+    total.qty += parseFloat(item.qty) || 0;
+    total.qtyDecimals = Math.max(total.qtyDecimals, item.qtyDecimals);
+    byUnit.set(item.unit, total);
+  });
+
+  return {
+    items: items.map((item, index) => ({ ...item, sNo: index + 1 })),
+    qtyTotals: Array.from(byUnit.values()).map((t) => ({ ...t, qty: String(t.qty) })),
+    value: items.reduce((sum, item) => sum + parseFloat(item.amount), 0).toFixed(2),
+  };
+}
+
+/**
+ * Shares an amount out in proportion to some weights, in whole paise, with
+ * the last share taking the rounding difference so the shares add up exactly.
+ * @param {number} total The amount to share out.
+ * @param {number[]} weights One weight per share; they must not all be zero.
+ * @returns {number[]} The shares.
+ */
+function apportion(total, weights) {
+  const totalPaise = Math.round(total * 100);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  let givenPaise = 0;
+  return weights.map((weight, index) => {
+    const sharePaise = index === weights.length - 1
+      ? totalPaise - givenPaise
+      : Math.round((totalPaise * weight) / weightSum);
+    givenPaise += sharePaise;
+    return sharePaise / 100;
+  });
+}
+
+/**
+ * Builds the HSN/SAC-wise GST breakup that GST invoices carry.
+ * Items are grouped by HSN code and rate; tax is split into CGST + SGST for
+ * intra-state supplies and charged as IGST for inter-state ones. Each head's
+ * tax is the voucher's tax ledger amount for that head, shared out over the
+ * rows by their taxable value × rate (or by taxable value alone if the items
+ * carry no rates), so the summary adds up to the tax lines printed above it
+ * even after Tally has rounded them.
+ * @param {object[]} items Parsed items with `hsn`, `gstRate` and `amount` (the taxable value).
+ * @param {boolean} isInterState Whether the voucher charges IGST.
+ * @param {{cgst: string, sgst: string, igst: string}} ledgerTaxes The tax ledger totals
+ *   by head, from classifyLedgerEntries.
+ * @returns {object|null} `{ isInterState, rows, totals }`, or null if no item has an HSN code.
+ */
+function summarizeByHsn(items, isInterState, ledgerTaxes) {
+  if (!items.some((item) => item.hsn)) return null;
+
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = `${item.hsn}@${item.gstRate ?? ''}`;
+    const group = groups.get(key) || { hsn: item.hsn, rate: item.gstRate, taxable: 0 };
+    group.taxable += parseFloat(item.amount) || 0;
+    groups.set(key, group);
+  });
+
+  // Each row's tax at its rate, before rounding
+  const groupList = Array.from(groups.values());
+  const rateTaxes = groupList.map(({ rate, taxable }) => (taxable * (rate || 0)) / 100);
+  const taxables = groupList.map(({ taxable }) => taxable);
+  const hasRateTax = rateTaxes.some((tax) => tax > 0);
+  const hasTaxable = taxables.some((taxable) => taxable > 0);
+  // A head's tax per row: its ledger total shared out by rate tax, or by taxable
+  // value when the items carry no GST rates; without a ledger, the rate tax itself
+  const headTaxes = (ledgerTotal, share) => {
+    if (ledgerTotal > 0 && hasRateTax) return apportion(ledgerTotal, rateTaxes);
+    if (ledgerTotal > 0 && hasTaxable) return apportion(ledgerTotal, taxables);
+    return rateTaxes.map((tax) => roundAmount(tax * share));
+  };
+  const cgstByRow = isInterState ? rateTaxes.map(() => 0) : headTaxes(parseFloat(ledgerTaxes.cgst), 0.5);
+  const sgstByRow = isInterState ? rateTaxes.map(() => 0) : headTaxes(parseFloat(ledgerTaxes.sgst), 0.5);
+  const igstByRow = isInterState ? headTaxes(parseFloat(ledgerTaxes.igst), 1) : rateTaxes.map(() => 0);
+
+  const rows = groupList.map(({ hsn, rate, taxable }, index) => {
+    const cgst = cgstByRow[index];
+    const sgst = sgstByRow[index];
+    const igst = igstByRow[index];
+    return { hsn, rate, taxable: roundAmount(taxable), cgst, sgst, igst, totalTax: roundAmount(cgst + sgst + igst) };
+  });
+
+  const sum = (field) => roundAmount(rows.reduce((total, row) => total + row[field], 0));
+  return {
+    isInterState,
+    rows,
+    totals: { taxable: sum('taxable'), cgst: sum('cgst'), sgst: sum('sgst'), igst: sum('igst'), totalTax: sum('totalTax') },
+  };
+}
+
+// Local helper function for date formatting
+function formatDate(d) {
+  return d ? `${d.slice(6, 8)}-${d.slice(4, 6)}-${d.slice(0, 4)}` : '';
+}
 
-  return str.trim() + ' Only';
+// Batch dates come either as YYYYMMDD or already formatted (e.g. "31-Dec-2026")
+function formatTallyDateText(d) {
+  return /^\d{8}$/.test(d) ? formatDate(d) : d;
 }
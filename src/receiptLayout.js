@@ -0,0 +1,582 @@
+// 📁 File: src/receiptLayout.js
+
+import { formatBatchDetails, formatHsnSummaryLines, formatInstrument, formatQuantity, formatStateLine, wrapText } from './utils/formatters';
+import { RECEIPT_LABELS, fillPlaceholders, resolveReceiptTemplate, templateSections } from './utils/receiptTemplates';
+import { buildUpiPaymentUri } from './utils/upi';
+
+// Party label for vouchers where "PARTY DETAILS" would read oddly
+const PARTY_LABELS = {
+  'RECEIPT VOUCHER': 'RECEIVED FROM:',
+  'PAYMENT VOUCHER': 'PAID TO:',
+};
+
+// Sections left out of a copy printed without prices
+const PRICE_SECTIONS = ['totals', 'amountInWords', 'hsnSummary', 'upiQr'];
+
+// Total label for return vouchers, so the amount doesn't read as a sale
+const TOTAL_LABELS = {
+  'CREDIT NOTE': 'TOTAL CREDIT',
+  'DEBIT NOTE': 'TOTAL DEBIT',
+  'REJECTION IN': 'RETURN VALUE',
+  'REJECTION OUT': 'RETURN VALUE',
+};
+
+/**
+ * Collects the receipt's lines section by section, tracking the current
+ * alignment, bold and size the way the printer does.
+ */
+function createLayoutWriter() {
+  const sections = [];
+  const style = { align: 'left', bold: false, doubleSize: false };
+  let section = null;
+  let segments = [];
+
+  return {
+    sections,
+    /** Starts a new section; the blocks that follow belong to it. */
+    section(id) {
+      section = { id, blocks: [] };
+      sections.push(section);
+    },
+    align(align) {
+      style.align = align;
+    },
+    bold(enable) {
+      style.bold = Boolean(enable);
+    },
+    doubleSize(enable) {
+      style.doubleSize = Boolean(enable);
+    },
+    /** Adds text without ending the line (e.g. a label before its value). */
+    text(text) {
+      if (text) segments.push({ text, bold: style.bold });
+    },
+    /** Adds text and ends the line. */
+    line(text = '') {
+      this.text(text);
+      section.blocks.push({ type: 'text', align: style.align, doubleSize: style.doubleSize, segments });
+      segments = [];
+    },
+    /** Adds a logo, QR code or barcode block, aligned like the text. */
+    block(block) {
+      section.blocks.push({ ...block, align: style.align });
+    },
+  };
+}
+
+/**
+ * Lays out a voucher as a receipt: the sections in the order of the active
+ * receipt template (see utils/receiptTemplates.js), each a list of blocks.
+ * Both PrintPreview and generateEscPosCommands render this, so the preview
+ * shows the same text, labels and wrapping as the print.
+ *
+ * Blocks are one of:
+ *   { type: 'text', align, doubleSize, segments: [{ text, bold }] } - one printed line
+ *   { type: 'logo', align, url, width } - width in printer dots
+ *   { type: 'qr', align, data }
+ *   { type: 'barcode', align, value }
+ *
+ * @param {object} xmlData A voucher from parseTallyXML.
+ * @param {object} settings Print settings, already resolved for the voucher type.
+ * @param {object} profile The printer profile; text is wrapped to its Font A columns.
+ * @param {object|null} [copy] Which copy this is (see resolveCopy): its title,
+ *   and whether to leave out prices and other sections.
+ * @returns {{id: string, blocks: object[]}[]} The receipt's sections.
+ */
+export function buildReceiptLayout(xmlData, settings, profile, copy = null) {
+  const writer = createLayoutWriter();
+  const TOTAL_RECEIPT_WIDTH = profile.charsPerLineFontA;
+  const separator = () => writer.line((settings.lineSeparator || '-').repeat(TOTAL_RECEIPT_WIDTH));
+  const orderInfoStyle = settings.sectionStyles.orderInfo;
+  const template = resolveReceiptTemplate(settings);
+  // The template's name for a label, else the voucher type's, else the default
+  const label = (key, byHeading = {}) => template.labels?.[key] || byHeading[xmlData.heading] || RECEIPT_LABELS[key];
+
+  /**
+   * Adds a "Label: value" line in the order info style.
+   * @param {string} label
+   * @param {string} value
+   */
+  const labelledLine = (label, value) => {
+    writer.bold(orderInfoStyle.labelBold);
+    writer.text(`${label}: `);
+    writer.bold(orderInfoStyle.valueBold);
+    writer.line(value || '');
+  };
+
+  // 0. Logo (if provided)
+  if (settings.logoUrl) {
+    writer.section('logo');
+    writer.align('center');
+    // The logo's width setting, but never wider than the paper
+    const logoWidth = settings.logoImage?.width > 0 ? Math.min(settings.logoImage.width, profile.dotWidth) : profile.dotWidth;
+    writer.block({ type: 'logo', url: settings.logoUrl, width: logoWidth });
+    writer.line(); // Line break after logo
+  }
+
+  // 1. Company Header (based on settings.headerAlignment)
+  writer.section('company');
+  writer.align(settings.headerAlignment);
+  if (xmlData.company.name) {
+    // Double-sized characters are twice as wide, so half as many fit on a line
+    writer.bold(true);
+    writer.doubleSize(true);
+    wrapText(xmlData.company.name, Math.floor(TOTAL_RECEIPT_WIDTH / 2)).forEach(line => writer.line(line));
+    writer.doubleSize(false);
+    writer.bold(false);
+  }
+  if (xmlData.company.address) {
+    xmlData.company.address.split('\n').forEach(line => writer.line(line));
+  }
+  if (formatStateLine(xmlData.company)) {
+    writer.line(formatStateLine(xmlData.company));
+  }
+  if (xmlData.company.phone) {
+    writer.line(`Ph: ${xmlData.company.phone}`);
+  }
+  if (xmlData.company.email) {
+    writer.line(`Email: ${xmlData.company.email}`);
+  }
+  if (xmlData.company.gstin) {
+    writer.line(`GSTIN: ${xmlData.company.gstin}`);
+  }
+  writer.line();
+
+  // 2. Invoice Type (Heading from parseTallyXML)
+  writer.section('heading');
+  separator();
+  writer.align('center');
+  if (xmlData.heading) {
+    writer.bold(true);
+    writer.line(xmlData.heading);
+    writer.bold(false);
+  }
+  separator();
+  writer.line();
+
+  // 2b. Copy title, e.g. "Original for Recipient"
+  if (copy?.title) {
+    writer.section('copyTitle');
+    writer.align('center');
+    writer.bold(true);
+    writer.line(`(${copy.title})`);
+    writer.bold(false);
+    writer.line();
+  }
+
+  // 3. Order Details, and the original document of a credit/debit note or rejection
+  writer.section('orderInfo');
+  writer.align('left');
+  labelledLine(label('voucherNo'), xmlData.order.number);
+  labelledLine(label('date'), xmlData.order.date);
+  labelledLine(label('enteredBy'), xmlData.order.user);
+  if (xmlData.returnOf) {
+    [
+      ['Against Invoice', xmlData.returnOf.number],
+      ['Invoice Date', xmlData.returnOf.date],
+      ['Reason', xmlData.returnOf.reason],
+    ].filter(([, value]) => value).forEach(([label, value]) => labelledLine(label, value));
+  }
+  writer.bold(false);
+  separator();
+  writer.line();
+
+  // 3a. E-invoice details (IRN, acknowledgement, e-way bill) and the signed QR
+  if (xmlData.eInvoice) {
+    const { irn, ackNo, ackDate, signedQr, ewayBillNo } = xmlData.eInvoice;
+    writer.section('eInvoice');
+    writer.align('left');
+    [['IRN', irn], ['Ack No', ackNo], ['Ack Date', ackDate], ['E-Way Bill No', ewayBillNo]]
+      .filter(([, value]) => value)
+      .forEach(([label, value]) => {
+        wrapText(`${label}: ${value}`, TOTAL_RECEIPT_WIDTH).forEach(line => writer.line(line));
+      });
+    if (signedQr) {
+      writer.align('center');
+      writer.block({ type: 'qr', data: signedQr });
+      writer.line();
+    }
+    writer.align('left');
+    separator();
+    writer.line();
+  }
+
+  // 4. Party Details
+  if (xmlData.party.name) {
+    writer.section('party');
+    writer.bold(true);
+    writer.line(label('party', PARTY_LABELS));
+    writer.bold(false);
+    writer.line(xmlData.party.name);
+    if (xmlData.party.address) {
+      xmlData.party.address.split('\n').forEach(line => writer.line(line));
+    }
+    if (xmlData.party.gstin) {
+      writer.line(`GSTIN: ${xmlData.party.gstin}`);
+    }
+    writer.line();
+  }
+
+  // 5. Items Table Header and 6. Items List
+  // (a function so stock journals can have one table per side)
+  const SNO_COL_WIDTH = 3;
+
+  /**
+   * Adds one table row: each cell wrapped to its column (unless `wrap` is false),
+   * the columns side by side.
+   * @param {{text: string, width: number, alignRight?: boolean, wrap?: boolean}[]} cells
+   */
+  const addTableRow = (cells) => {
+    const wrapped = cells.map(cell => (cell.wrap === false ? [cell.text] : wrapText(cell.text, cell.width)));
+    const height = Math.max(...wrapped.map(lines => lines.length));
+    for (let row = 0; row < height; row++) {
+      writer.line(cells.map((cell, index) => {
+        const text = wrapped[index][row] || '';
+        return cell.alignRight ? text.padStart(cell.width) : text.padEnd(cell.width);
+      }).join(' ').trimEnd());
+    }
+  };
+
+  /**
+   * Adds the items as a table of one row per item (item, qty, rate, amount).
+   * The qty, rate and amount columns are as wide as their longest value, so
+   * they never wrap; the item name gets the rest of the line and wraps within
+   * it. On paper too narrow for that, each name gets a line of its own above
+   * its figures.
+   * @param {object[]} items
+   * @param {boolean} withRate False for the no-rate layout (item, qty, amount).
+   * @param {boolean} [withAmount=true] False for a copy without prices (item, qty).
+   */
+  const addOneLineItemsTable = (items, withRate, withAmount = true) => {
+    const MIN_ITEM_NAME_COL_WIDTH = 10;
+    const figures = (qty, rate, amount) => [qty, withRate && rate, withAmount && amount].filter(text => text !== false);
+    const header = { name: 'Item', figures: figures('Qty', 'Rate', 'Amount') };
+    const rows = (items || []).map(item => {
+      // The unit is in the quantity, so the rate only shows one when it differs
+      const rateUnit = item.rateUnit && item.rateUnit !== item.unit ? `/${item.rateUnit}` : '';
+      return {
+        item,
+        name: item.name,
+        figures: figures(formatQuantity(item), parseFloat(item.rate).toFixed(2) + rateUnit, parseFloat(item.amount).toFixed(2)),
+      };
+    });
+    const figureWidths = header.figures.map((_, index) => Math.max(...[header, ...rows].map(r => r.figures[index].length)));
+    const figuresWidth = figureWidths.reduce((sum, width) => sum + width + 1, 0);
+    const ITEM_NAME_COL_WIDTH = TOTAL_RECEIPT_WIDTH - figuresWidth;
+    const nameOnOwnLine = ITEM_NAME_COL_WIDTH < MIN_ITEM_NAME_COL_WIDTH;
+    const indent = '  ';
+
+    const addRow = ({ name, figures: values }) => {
+      const figureCells = values.map((text, index) => ({ text, width: figureWidths[index], alignRight: true, wrap: false }));
+      if (nameOnOwnLine) {
+        wrapText(name, TOTAL_RECEIPT_WIDTH).forEach(line => writer.line(line));
+        writer.line(figureCells.map(cell => cell.text.padStart(cell.width)).join(' ').padStart(TOTAL_RECEIPT_WIDTH));
+      } else {
+        addTableRow([{ text: name, width: ITEM_NAME_COL_WIDTH }, ...figureCells]);
+      }
+    };
+
+    separator();
+    writer.align('left');
+    writer.bold(true);
+    addRow(header);
+    writer.bold(false);
+    separator();
+
+    if (rows.length === 0) {
+      writer.line('No items found.');
+    }
+    rows.forEach(row => {
+      const { item } = row;
+      addRow(row);
+      if (settings.showBatchDetails && item.batches?.length > 0) {
+        item.batches.forEach(batch => {
+          wrapText(formatBatchDetails(batch, item.batches.length > 1), TOTAL_RECEIPT_WIDTH - indent.length)
+            .forEach(line => writer.line(indent + line));
+        });
+      }
+    });
+    writer.line(); // Spacing after items
+  };
+
+  /**
+   * Adds the items table in the voucher type's item layout: one-line rows, or
+   * (the detailed layout) each item's name, then its qty/rate/amount and batch lines.
+   * @param {object[]} items
+   */
+  const addItemsTable = (items) => {
+    if (copy?.hidePrices) {
+      addOneLineItemsTable(items, false, false);
+      return;
+    }
+    if (settings.itemLayout === 'compact' || settings.itemLayout === 'noRate') {
+      addOneLineItemsTable(items, settings.itemLayout === 'compact');
+      return;
+    }
+
+    const ITEM_NAME_COL_WIDTH = TOTAL_RECEIPT_WIDTH - SNO_COL_WIDTH - 1; // Item name takes remaining width on first line
+    const QTY_RATE_AMOUNT_LINE_INDENT = SNO_COL_WIDTH + 1; // Indent for Qty/Rate/Amount line
+    const indent = ' '.repeat(QTY_RATE_AMOUNT_LINE_INDENT);
+
+    // Header
+    separator();
+    writer.align('left');
+    writer.bold(true);
+    writer.line(`${'No.'.padEnd(SNO_COL_WIDTH)} ${'Item Name'.padEnd(ITEM_NAME_COL_WIDTH)}`); // "S.No" would overflow the column
+    const QTY_HEADER_WIDTH = 5;
+    const RATE_HEADER_WIDTH = 8;
+    const AMOUNT_HEADER_WIDTH = 8; // "Amount"
+    writer.line(`${indent}${'Qty'.padEnd(QTY_HEADER_WIDTH)} ${'Rate'.padEnd(RATE_HEADER_WIDTH)} ${'Amount'.padStart(AMOUNT_HEADER_WIDTH)}`);
+    writer.bold(false);
+    separator();
+
+    if (!items || items.length === 0) {
+      writer.line('No items found.');
+    }
+    (items || []).forEach(item => {
+      const qty = formatQuantity(item);
+      const rate = parseFloat(item.rate).toFixed(2) + (item.rateUnit ? `/${item.rateUnit}` : '');
+      const amount = parseFloat(item.amount).toFixed(2);
+
+      // First line: S.No and Item Name (bold); the rest of a long name wraps under the name
+      writer.bold(true);
+      writer.line(`${String(item.sNo).padEnd(SNO_COL_WIDTH)} ${item.name.substring(0, ITEM_NAME_COL_WIDTH)}`);
+      writer.bold(false);
+      for (let rest = item.name.substring(ITEM_NAME_COL_WIDTH); rest.length > 0; rest = rest.substring(TOTAL_RECEIPT_WIDTH - indent.length)) {
+        writer.line(`${indent}${rest.substring(0, TOTAL_RECEIPT_WIDTH - indent.length)}`);
+      }
+
+      // Second line: "Qty: --- UNIT @ Rs. rate/UNIT = Rs. Amount", right-aligned.
+      // Units and alternate units can make it too long; then the quantity gets its own line
+      const qtyRateAmountText = `Qty: ${qty} @ Rs. ${rate} = Rs. ${amount}`;
+      const qtyRateAmountLines = qtyRateAmountText.length > TOTAL_RECEIPT_WIDTH
+        ? [`Qty: ${qty}`, `@ Rs. ${rate} = Rs. ${amount}`]
+        : [qtyRateAmountText];
+      qtyRateAmountLines.forEach(text => writer.line(text.padStart(TOTAL_RECEIPT_WIDTH)));
+
+      // Batch / godown / expiry lines, indented under the item
+      if (settings.showBatchDetails && item.batches?.length > 0) {
+        item.batches.forEach(batch => {
+          wrapText(formatBatchDetails(batch, item.batches.length > 1), TOTAL_RECEIPT_WIDTH - indent.length)
+            .forEach(line => writer.line(indent + line));
+        });
+      }
+      writer.line(); // Spacing after each item block
+    });
+    writer.line(); // Spacing after items
+  };
+
+  /**
+   * Adds the ledger lines of a receipt, payment, journal or contra: each
+   * ledger with its Dr/Cr amount, then its bill allocations and cheque details.
+   * A copy without prices shows only each ledger's side and the bill references.
+   * @param {object} accounting The voucher's `accounting` section from parseTallyXML.
+   */
+  const addLedgerLines = (accounting) => {
+    const AMOUNT_COL_WIDTH = 14; // "1,00,000.00 Dr"
+    const indent = '  ';
+    // Left text, wrapped if needed, with the right text on its last line
+    const columns = (left, right, leftIndent = '') => {
+      const lines = wrapText(left, TOTAL_RECEIPT_WIDTH - AMOUNT_COL_WIDTH - 1 - leftIndent.length)
+        .map(line => leftIndent + line);
+      lines.forEach((line, index) => {
+        writer.line(index === lines.length - 1 && right
+          ? line.padEnd(TOTAL_RECEIPT_WIDTH - AMOUNT_COL_WIDTH) + right.padStart(AMOUNT_COL_WIDTH)
+          : line);
+      });
+    };
+
+    separator();
+    writer.align('left');
+    writer.bold(true);
+    columns('Particulars', copy?.hidePrices ? 'Dr/Cr' : 'Amount');
+    writer.bold(false);
+    separator();
+
+    if (accounting.entries.length === 0) {
+      writer.line('No ledger entries found.');
+    }
+    accounting.entries.forEach(entry => {
+      writer.bold(true);
+      columns(entry.name, copy?.hidePrices ? entry.side : `${entry.amount} ${entry.side}`);
+      writer.bold(false);
+      entry.bills.forEach(bill => {
+        columns([bill.type, bill.ref].filter(Boolean).join(' '), copy?.hidePrices ? '' : bill.amount, indent);
+      });
+      entry.instruments.forEach(instrument => {
+        wrapText(formatInstrument(instrument), TOTAL_RECEIPT_WIDTH - indent.length).forEach(line => writer.line(indent + line));
+      });
+    });
+    writer.line();
+  };
+
+  writer.section('items');
+  if (xmlData.accounting) {
+    addLedgerLines(xmlData.accounting);
+  } else if (xmlData.stockJournal) {
+    // Stock journals: what was consumed and what was produced, each with its own totals
+    [['CONSUMED', xmlData.stockJournal.consumed], ['PRODUCED', xmlData.stockJournal.produced]].forEach(([title, section]) => {
+      writer.align('center');
+      writer.bold(true);
+      writer.line(title);
+      writer.bold(false);
+      addItemsTable(section.items);
+      writer.align('right');
+      writer.line(`Total Qty: ${section.qtyTotals.map(formatQuantity).join(', ') || '0'}`);
+      if (!copy?.hidePrices) {
+        writer.bold(true);
+        writer.line(`Total Value: Rs. ${section.value}`);
+        writer.bold(false);
+      }
+      writer.line();
+    });
+  } else {
+    if (xmlData.returnOf) {
+      writer.align('center');
+      writer.bold(true);
+      writer.line('RETURNED ITEMS');
+      writer.bold(false);
+    }
+    addItemsTable(xmlData.items);
+  }
+
+  // 7. Totals (sales-style; stock journals have none, accounting vouchers just the amount)
+  if (xmlData.accounting) {
+    writer.section('totals');
+    separator();
+    if (xmlData.accounting.paymentMode) {
+      writer.align('left');
+      writer.line(`Mode of Payment: ${xmlData.accounting.paymentMode}`);
+    }
+    writer.align('right');
+    writer.bold(true);
+    writer.line(`${label('total')}: Rs. ${xmlData.totals.total || '0.00'}`);
+    writer.bold(false);
+    writer.line();
+  } else if (!xmlData.stockJournal) {
+    writer.section('totals');
+    separator();
+    writer.align('right');
+    writer.line(`${label('subTotal')}: ${xmlData.totals.subtotal || '0.00'}`);
+    // Discounts, other charges, taxes (by head and rate) and round-off, as classified by parseTallyXML
+    (xmlData.totals.discounts || []).forEach(d => writer.line(`${d.name}: -${d.amount}`));
+    (xmlData.totals.charges || []).forEach(c => writer.line(`${c.name}: ${c.amount}`));
+    (xmlData.totals.taxes || []).forEach(t => writer.line(`${t.label}: ${t.amount}`));
+    if (parseFloat(xmlData.totals.roundOff)) writer.line(`Round Off: ${xmlData.totals.roundOff}`);
+    writer.bold(true);
+    writer.line(`${label('total', TOTAL_LABELS)}: Rs. ${xmlData.totals.total || '0.00'}`);
+    writer.bold(false);
+    writer.line();
+  }
+
+  // 8. Amount in Words
+  if (settings.showAmountInWords && xmlData.amountInWords) {
+    const amountInWords = settings.amountInWordsCase === 'upper'
+      ? xmlData.amountInWords.toUpperCase()
+      : xmlData.amountInWords;
+    writer.section('amountInWords');
+    writer.align('left');
+    writer.line(label('amountInWords'));
+    writer.bold(true);
+    wrapText(amountInWords, TOTAL_RECEIPT_WIDTH).forEach(line => writer.line(line));
+    writer.bold(false);
+    writer.line();
+  }
+
+  // 9. Narration (Remarks)
+  if (xmlData.narration) {
+    writer.section('narration');
+    separator();
+    writer.align('center');
+    writer.bold(true);
+    writer.line(label('remarks'));
+    writer.bold(false);
+    writer.align('left');
+    wrapText(xmlData.narration, TOTAL_RECEIPT_WIDTH).forEach(line => writer.line(line));
+    separator();
+    writer.line();
+  }
+
+  // 10. Terms and Conditions
+  if (xmlData.termsAndConditions) {
+    writer.section('terms');
+    separator();
+    writer.align('center');
+    writer.line(label('terms'));
+    writer.align('left');
+    wrapText(xmlData.termsAndConditions, TOTAL_RECEIPT_WIDTH).forEach(line => writer.line(line));
+    writer.line();
+  }
+
+  // 11. HSN/SAC-wise GST Summary
+  if (xmlData.hsnSummary) {
+    writer.section('hsnSummary');
+    separator();
+    writer.align('center');
+    writer.bold(true);
+    writer.line(label('hsnSummary'));
+    writer.bold(false);
+    writer.align('left');
+    formatHsnSummaryLines(xmlData.hsnSummary, TOTAL_RECEIPT_WIDTH).forEach(row => {
+      writer.bold(row.bold);
+      writer.line(row.text);
+    });
+    writer.bold(false);
+    separator();
+    writer.line();
+  }
+
+  // 11a. UPI payment QR for the voucher total
+  const upiUri = settings.showUpiQr ? buildUpiPaymentUri(settings.upiPayment, xmlData) : '';
+  if (upiUri) {
+    writer.section('upiQr');
+    writer.align('center');
+    writer.bold(true);
+    writer.line(label('upiQr'));
+    writer.bold(false);
+    writer.block({ type: 'qr', data: upiUri });
+    writer.line();
+    writer.line(`Rs. ${xmlData.totals.total} to ${settings.upiPayment.payeeName || settings.upiPayment.vpa}`);
+    writer.line();
+  }
+
+  // 12. Authorized Signatory
+  if (xmlData.authorizedSignatory) {
+    writer.section('signatory');
+    writer.align('right');
+    writer.line();
+    writer.line();
+    writer.line(xmlData.authorizedSignatory);
+    writer.line();
+  }
+
+  // 13. Voucher number barcode, for scanning at dispatch
+  if (settings.barcode.enabled && xmlData.order.number) {
+    writer.section('barcode');
+    writer.align('center');
+    writer.block({ type: 'barcode', value: xmlData.order.number });
+    writer.line();
+  }
+
+  // Free-text blocks of the template, with placeholders filled in
+  templateSections(template).filter(entry => entry.type === 'text').forEach(entry => {
+    writer.section(entry.id);
+    writer.align(entry.align);
+    writer.bold(entry.bold);
+    fillPlaceholders(entry.text, xmlData).split('\n').forEach(paragraph => {
+      wrapText(paragraph, TOTAL_RECEIPT_WIDTH).forEach(line => writer.line(line));
+    });
+    writer.bold(false);
+    writer.line();
+  });
+
+  // Put the sections in the template's order, leaving out hidden ones and
+  // those this copy leaves out. A copy's own title shows even if the template
+  // hides the copy title section.
+  const built = new Map(writer.sections.map(section => [section.id, section]));
+  const hiddenForCopy = [...(copy?.hiddenSections || []), ...(copy?.hidePrices ? PRICE_SECTIONS : [])];
+  const shown = entry => entry.visible || (entry.id === 'copyTitle' && Boolean(copy?.title));
+  return templateSections(template)
+    .filter(entry => shown(entry) && built.has(entry.id) && !hiddenForCopy.includes(entry.id))
+    .map(entry => built.get(entry.id));
+}
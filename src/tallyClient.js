@@ -0,0 +1,84 @@
+// 📁 File: src/tallyClient.js
+
+import { decodeXmlBuffer } from './utils/xmlEncoding';
+
+/**
+ * Escapes text for use inside an XML element.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Converts an <input type="date"> value (YYYY-MM-DD) to Tally's YYYYMMDD format.
+ * @param {string} isoDate
+ * @returns {string}
+ */
+export function toTallyDate(isoDate) {
+  return isoDate ? isoDate.replace(/-/g, '') : '';
+}
+
+/**
+ * Builds a Tally "Export Data" request for the Voucher Register.
+ * @param {object} query
+ * @param {string} [query.voucherType] Voucher type name, e.g. "Sales". Empty for all types.
+ * @param {string} [query.fromDate] Start date as YYYY-MM-DD.
+ * @param {string} [query.toDate] End date as YYYY-MM-DD.
+ * @param {string} [query.company] Company to export from. Empty for Tally's current company.
+ * @returns {string} The request envelope.
+ */
+export function buildExportRequest({ voucherType, fromDate, toDate, company } = {}) {
+  const staticVariables = [
+    '<SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>',
+    fromDate && `<SVFROMDATE>${toTallyDate(fromDate)}</SVFROMDATE>`,
+    toDate && `<SVTODATE>${toTallyDate(toDate)}</SVTODATE>`,
+    voucherType && `<VOUCHERTYPENAME>${escapeXml(voucherType)}</VOUCHERTYPENAME>`,
+    company && `<SVCURRENTCOMPANY>${escapeXml(company)}</SVCURRENTCOMPANY>`,
+  ].filter(Boolean);
+
+  return [
+    '<ENVELOPE>',
+    '<HEADER><TALLYREQUEST>Export Data</TALLYREQUEST></HEADER>',
+    '<BODY><EXPORTDATA><REQUESTDESC>',
+    '<REPORTNAME>Voucher Register</REPORTNAME>',
+    `<STATICVARIABLES>${staticVariables.join('')}</STATICVARIABLES>`,
+    '</REQUESTDESC></EXPORTDATA></BODY>',
+    '</ENVELOPE>',
+  ].join('\n');
+}
+
+/**
+ * Sends an Export Data request to Tally through the local proxy.
+ * @param {object} connection The `tallyConnection` settings (proxyUrl, host, port, company).
+ * @param {object} query Voucher type and date range; see buildExportRequest.
+ * @returns {Promise<string>} The XML returned by Tally.
+ */
+export async function fetchTallyXML(connection, query) {
+  const response = await fetch(`${connection.proxyUrl.replace(/\/$/, '')}/tally`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'text/xml',
+      'X-Tally-Host': connection.host,
+      'X-Tally-Port': String(connection.port),
+    },
+    body: buildExportRequest({ ...query, company: connection.company }),
+  });
+
+  // Tally may answer in UTF-16, so decode the bytes ourselves rather than trusting response.text()
+  const { text } = decodeXmlBuffer(await response.arrayBuffer());
+  if (!response.ok) {
+    throw new Error(text || `Proxy responded with HTTP ${response.status}`);
+  }
+
+  // Tally answers bad requests with HTTP 200 and a <LINEERROR> in the body
+  const lineError = text.match(/<LINEERROR>([\s\S]*?)<\/LINEERROR>/);
+  if (lineError) {
+    throw new Error(`Tally error: ${lineError[1].trim()}`);
+  }
+  return text;
+}
@@ -0,0 +1,58 @@
+// src/utils/amountInWords.js
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// 0–99 in words ('' for 0)
+function twoDigitWords(n) {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+}
+
+/**
+ * Spells out a whole number using the Indian numbering system
+ * (thousand, lakh, crore). Amounts of 100 crore and above repeat the
+ * scale, e.g. 1,25,00,00,000 is "One Hundred Twenty Five Crore".
+ * @param {number} n A non-negative integer.
+ * @returns {string} The number in words ('' for 0).
+ */
+function indianNumberWords(n) {
+  if (n >= 10000000) {
+    const crores = Math.floor(n / 10000000);
+    return [indianNumberWords(crores) + ' Crore', indianNumberWords(n % 10000000)].filter(Boolean).join(' ');
+  }
+
+  const parts = [];
+  const lakhs = Math.floor(n / 100000);
+  const thousands = Math.floor(n / 1000) % 100;
+  const hundreds = Math.floor(n / 100) % 10;
+  const rest = n % 100;
+
+  if (lakhs) parts.push(`${twoDigitWords(lakhs)} Lakh`);
+  if (thousands) parts.push(`${twoDigitWords(thousands)} Thousand`);
+  if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+  if (rest) parts.push(twoDigitWords(rest));
+  return parts.join(' ');
+}
+
+/**
+ * Converts a rupee amount to words for the "Amount in Words" line,
+ * e.g. 1341.5 -> "One Thousand Three Hundred Forty One Rupees and Fifty Paise Only".
+ * The amount is rounded to whole paise; the sign is ignored.
+ * @param {number|string} amount The amount in rupees.
+ * @returns {string} The amount in words, in title case.
+ */
+export default function amountToWords(amount) {
+  const totalPaise = Math.round(Math.abs(parseFloat(amount) || 0) * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+
+  let words = `${indianNumberWords(rupees) || 'Zero'} ${rupees === 1 ? 'Rupee' : 'Rupees'}`;
+  if (paise > 0) {
+    words += ` and ${twoDigitWords(paise)} ${paise === 1 ? 'Paisa' : 'Paise'}`;
+  }
+  return `${words} Only`;
+}
@@ -0,0 +1,25 @@
+// src/utils/barcode.js
+
+// Symbologies offered for the voucher-number barcode, with their GS k codes
+// (function B) and the matching JsBarcode format for the preview.
+// CODE128 is printed in code set B, so the preview forces set B as well.
+export const BARCODE_SYMBOLOGIES = {
+  CODE128: { label: 'CODE128', escPosType: 73, jsBarcodeFormat: 'CODE128B' },
+  CODE39: { label: 'CODE39', escPosType: 69, jsBarcodeFormat: 'CODE39' },
+};
+
+/**
+ * Prepares text for a barcode: CODE39 only has upper case letters, digits
+ * and a few symbols; CODE128 set B covers printable ASCII.
+ * @param {string} text The voucher number.
+ * @param {'CODE128'|'CODE39'} symbology
+ * @returns {string} The text to encode, or '' if it can't be encoded.
+ */
+export function barcodeText(text, symbology) {
+  const value = String(text || '').trim();
+  if (symbology === 'CODE39') {
+    const upper = value.toUpperCase();
+    return /^[0-9A-Z .$/+%-]+$/.test(upper) ? upper : '';
+  }
+  return /^[\x20-\x7E]+$/.test(value) ? value : '';
+}
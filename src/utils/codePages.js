@@ -0,0 +1,175 @@
+// src/utils/codePages.js
+
+/**
+ * Printer code pages: the `ESC t n` number that selects each (Epson numbering,
+ * which most thermal printers follow) and the characters of bytes 0x80-0xFF.
+ * Bytes below 0x80 are ASCII in every one of them. \ufffd marks an unused byte.
+ */
+export const CODE_PAGES = {
+  CP437: {
+    label: 'PC437 (USA, Standard Europe)',
+    escPosNumber: 0,
+    upperHalf:
+      'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+      'áíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+      '└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+      'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0',
+  },
+  CP850: {
+    label: 'PC850 (Multilingual)',
+    escPosNumber: 2,
+    upperHalf:
+      'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒ' +
+      'áíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+      '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀' +
+      'ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0',
+  },
+  CP852: {
+    label: 'PC852 (Latin 2)',
+    escPosNumber: 18,
+    upperHalf:
+      'ÇüéâäůćçłëŐőîŹÄĆÉĹĺôöĽľŚśÖÜŤťŁ×č' +
+      'áíóúĄąŽžĘę¬źČş«»░▒▓│┤ÁÂĚŞ╣║╗╝Żż┐' +
+      '└┴┬├─┼Ăă╚╔╩╦╠═╬¤đĐĎËďŇÍÎě┘┌█▄ŢŮ▀' +
+      'ÓßÔŃńňŠšŔÚŕŰýÝţ´\u00ad˝˛ˇ˘§÷¸°¨˙űŘř■\u00a0',
+  },
+  CP858: {
+    label: 'PC858 (Multilingual with Euro)',
+    escPosNumber: 19,
+    upperHalf:
+      'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒ' +
+      'áíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+      '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀' +
+      'ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0',
+  },
+  CP866: {
+    label: 'PC866 (Cyrillic)',
+    escPosNumber: 17,
+    upperHalf:
+      'АБВГДЕЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ' +
+      'абвгдежзийклмноп░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+      '└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+      'рстуфхцчшщъыьэюяЁёЄєЇїЎў°∙·√№¤■\u00a0',
+  },
+  WPC1252: {
+    label: 'WPC1252 (Windows Latin 1)',
+    escPosNumber: 16,
+    upperHalf:
+      '€\ufffd‚ƒ„…†‡ˆ‰Š‹Œ\ufffdŽ\ufffd\ufffd‘’“”•–—˜™š›œ\ufffdžŸ' +
+      '\u00a0¡¢£¤¥¦§¨©ª«¬\u00ad®¯°±²³´µ¶·¸¹º»¼½¾¿' +
+      'ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞß' +
+      'àáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿ',
+  },
+};
+
+// Replacements for characters a code page lacks, tried before falling back to '?'
+const TRANSLITERATIONS = {
+  '₹': 'Rs. ',
+  '€': 'EUR',
+  '£': 'GBP',
+  '‘': "'",
+  '’': "'",
+  '‚': ',',
+  '“': '"',
+  '”': '"',
+  '„': '"',
+  '–': '-',
+  '—': '-',
+  '−': '-',
+  '…': '...',
+  '•': '*',
+  '·': '.',
+  '×': 'x',
+  '÷': '/',
+  '™': 'TM',
+  '©': '(C)',
+  '®': '(R)',
+  '°': 'o',
+  'ß': 'ss',
+  'æ': 'ae',
+  'Æ': 'AE',
+  'œ': 'oe',
+  'Œ': 'OE',
+  'ø': 'o',
+  'Ø': 'O',
+  'ł': 'l',
+  'Ł': 'L',
+  'đ': 'd',
+  'Đ': 'D',
+  '\u00a0': ' ',
+};
+
+const REPLACEMENT_BYTE = 0x3F; // '?'
+
+// Character -> byte lookups, built on first use of each code page
+const byteMaps = new Map();
+
+function byteMapFor(codePageId) {
+  if (!byteMaps.has(codePageId)) {
+    const map = new Map();
+    Array.from(CODE_PAGES[codePageId].upperHalf).forEach((char, index) => {
+      if (char !== '\ufffd') map.set(char, 0x80 + index);
+    });
+    byteMaps.set(codePageId, map);
+  }
+  return byteMaps.get(codePageId);
+}
+
+/**
+ * Tests whether a character can be printed in a code page as it is.
+ * @param {string} char A single character.
+ * @param {string} codePageId A key of CODE_PAGES.
+ * @returns {boolean}
+ */
+export function isInCodePage(char, codePageId) {
+  return char.charCodeAt(0) < 0x80 || byteMapFor(codePageId).has(char);
+}
+
+// The bytes for one character: its own byte, a transliteration (e.g. "₹" ->
+// "Rs. ", "é" -> "e" where there's no é), or null if neither works
+function encodeChar(char, pageId) {
+  const byteMap = byteMapFor(pageId);
+  const toBytes = (text) => Array.from(text).map((c) => (c.charCodeAt(0) < 0x80 ? c.charCodeAt(0) : byteMap.get(c)));
+
+  if (isInCodePage(char, pageId)) return toBytes(char);
+  const replacement = TRANSLITERATIONS[char];
+  if (replacement !== undefined && Array.from(replacement).every((c) => isInCodePage(c, pageId))) {
+    return toBytes(replacement);
+  }
+  // Accented letters: drop the accent
+  const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (base && base !== char && Array.from(base).every((c) => isInCodePage(c, pageId))) {
+    return toBytes(base);
+  }
+  return null;
+}
+
+const pageIdOf = (codePageId) => (CODE_PAGES[codePageId] ? codePageId : 'CP437');
+
+/**
+ * Tests whether text can be printed in a code page, directly or through
+ * transliteration, without any "?" replacements. Text that can't (Hindi,
+ * Gujarati, ...) has to be printed as an image instead.
+ * @param {string} text
+ * @param {string} codePageId A key of CODE_PAGES.
+ * @returns {boolean}
+ */
+export function canEncode(text, codePageId) {
+  const pageId = pageIdOf(codePageId);
+  return Array.from(String(text).normalize('NFC')).every((char) => encodeChar(char, pageId) !== null);
+}
+
+/**
+ * Encodes text for a printer set to the given code page. Characters the
+ * page lacks are transliterated and anything left becomes "?".
+ * @param {string} text The text to encode.
+ * @param {string} codePageId A key of CODE_PAGES; unknown pages are treated as CP437.
+ * @returns {Uint8Array} The bytes to send.
+ */
+export function encodeForCodePage(text, codePageId) {
+  const pageId = pageIdOf(codePageId);
+  // Array.from splits by code point, so characters outside the BMP count as one
+  const bytes = Array.from(String(text).normalize('NFC'))
+    .flatMap((char) => encodeChar(char, pageId) ?? [REPLACEMENT_BYTE]);
+  return new Uint8Array(bytes);
+}
@@ -0,0 +1,17 @@
+// src/utils/companyProfile.js
+
+/**
+ * Fills the gaps in a voucher's company details from the saved company
+ * profile. Details present in the Tally export always win.
+ * @param {object} voucher A parsed voucher.
+ * @param {object} profile The `companyProfile` settings.
+ * @returns {object} The voucher with merged company details.
+ */
+export function withCompanyProfile(voucher, profile) {
+  if (!voucher || !profile) return voucher;
+  const company = { ...voucher.company };
+  Object.keys(profile).forEach(field => {
+    if (!company[field] && profile[field]) company[field] = profile[field];
+  });
+  return { ...voucher, company };
+}
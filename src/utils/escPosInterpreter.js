@@ -0,0 +1,282 @@
+// src/utils/escPosInterpreter.js
+
+import QRCode from 'qrcode';
+import JsBarcode from 'jsbarcode';
+import { BARCODE_SYMBOLOGIES } from './barcode';
+import { CODE_PAGES } from './codePages';
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const LF = 0x0A;
+
+// Character cells of the printer fonts in dots (Font A 12x24, Font B 9x17 on most printers)
+const FONT_A_HEIGHT = 24;
+const FONT_B_HEIGHT = 17;
+const LINE_SPACING = 6; // Dots between lines, on top of the tallest character
+const CUT_MARGIN = 24; // Space drawn around the cut line
+
+/**
+ * Decodes a byte of text in the given code page.
+ * @param {number} byte
+ * @param {string} codePage A key of CODE_PAGES.
+ * @returns {string}
+ */
+function decodeByte(byte, codePage) {
+  if (byte < 0x80) return String.fromCharCode(byte);
+  return (CODE_PAGES[codePage] || CODE_PAGES.CP437).upperHalf[byte - 0x80];
+}
+
+/**
+ * Turns a QR code's modules into a bitmap of `moduleSize` dots per module.
+ * @returns {{width: number, height: number, pixel: function(number, number): boolean}}
+ */
+function qrBitmap(data, errorCorrection, moduleSize) {
+  const { modules } = QRCode.create(data, { errorCorrectionLevel: errorCorrection });
+  const size = modules.size * moduleSize;
+  return {
+    width: size,
+    height: size,
+    pixel: (x, y) => Boolean(modules.get(Math.floor(y / moduleSize), Math.floor(x / moduleSize))),
+  };
+}
+
+/**
+ * Draws a GS k barcode with JsBarcode, as the printer would with the given
+ * height, module width and HRI position.
+ * @returns {HTMLCanvasElement|null} The barcode, or null if it can't be drawn.
+ */
+function barcodeCanvas(type, data, barcode) {
+  const [symbology] = Object.entries(BARCODE_SYMBOLOGIES).find(([, s]) => s.escPosType === type) || [];
+  if (!symbology) return null;
+  // CODE128 data starts with the code set ("{B"), and "{{" stands for "{"
+  const text = symbology === 'CODE128' ? data.replace(/^\{[ABC]/, '').replace(/\{\{/g, '{') : data;
+
+  const canvas = document.createElement('canvas');
+  try {
+    JsBarcode(canvas, text, {
+      format: BARCODE_SYMBOLOGIES[symbology].jsBarcodeFormat,
+      width: barcode.width,
+      height: barcode.height,
+      displayValue: barcode.hri !== 0,
+      textPosition: barcode.hri === 1 ? 'top' : 'bottom',
+      fontSize: FONT_A_HEIGHT,
+      margin: 0,
+    });
+  } catch (err) {
+    console.error('Barcode could not be drawn:', err);
+    return null;
+  }
+  return canvas;
+}
+
+/**
+ * Works out what an ESC/POS command stream prints: each line of text, image
+ * and barcode with its position on the paper. Handles what
+ * generateEscPosCommands sends: ESC @, ESC t, ESC !, ESC E, ESC a, GS v 0,
+ * the GS ( k QR functions, GS h/w/H/f/k barcodes and GS V; other commands
+ * are skipped.
+ * @param {Uint8Array} bytes The command stream.
+ * @param {object} profile The printer profile (dotWidth, charsPerLineFontA/B, codePage).
+ * @returns {{width: number, height: number, items: object[]}} What to draw, in dots.
+ */
+export function interpretEscPos(bytes, profile) {
+  const width = profile.dotWidth;
+  const items = [];
+  let y = 0;
+
+  // Printer state, as set by ESC @
+  let state;
+  const reset = () => {
+    state = { align: 0, bold: false, fontB: false, doubleWidth: false, doubleHeight: false, codePage: profile.codePage };
+  };
+  reset();
+  const barcode = { height: 162, width: 3, hri: 0 };
+  const qr = { moduleSize: 3, errorCorrection: 'L', data: '' };
+
+  let line = []; // Characters waiting for LF: [{ char, x, width, height, bold }]
+  let lineWidth = 0;
+
+  const alignedX = (contentWidth) => {
+    if (state.align === 1) return Math.max(0, Math.floor((width - contentWidth) / 2));
+    if (state.align === 2) return Math.max(0, width - contentWidth);
+    return 0;
+  };
+
+  // Prints the text buffer; an empty buffer feeds one line, as LF does
+  const printLine = () => {
+    const textHeight = Math.max(state.fontB ? FONT_B_HEIGHT : FONT_A_HEIGHT, ...line.map(c => c.height));
+    const offset = alignedX(lineWidth);
+    items.push({
+      type: 'text',
+      y: y + textHeight,
+      chars: line.map(c => ({ ...c, x: c.x + offset })),
+    });
+    y += textHeight + LINE_SPACING;
+    line = [];
+    lineWidth = 0;
+  };
+
+  // Images print at once, so any text before them is printed first
+  const printBitmap = (bitmap) => {
+    if (line.length > 0) printLine();
+    items.push({ type: 'bitmap', x: alignedX(bitmap.width), y, ...bitmap });
+    y += bitmap.height;
+  };
+
+  const addChar = (char) => {
+    const cellWidth = width / (state.fontB ? profile.charsPerLineFontB : profile.charsPerLineFontA);
+    const charWidth = cellWidth * (state.doubleWidth ? 2 : 1);
+    if (lineWidth + charWidth > width + 0.5) printLine(); // The printer wraps full lines
+    line.push({
+      char,
+      x: lineWidth,
+      width: charWidth,
+      height: (state.fontB ? FONT_B_HEIGHT : FONT_A_HEIGHT) * (state.doubleHeight ? 2 : 1),
+      bold: state.bold,
+    });
+    lineWidth += charWidth;
+  };
+
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+
+    if (byte === LF) {
+      printLine();
+      i += 1;
+    } else if (byte === ESC) {
+      const command = bytes[i + 1];
+      const n = bytes[i + 2];
+      if (command === 0x40) { // ESC @
+        reset();
+        i += 2;
+        continue;
+      }
+      if (command === 0x21) { // ESC ! n
+        state.fontB = Boolean(n & 0x01);
+        state.bold = Boolean(n & 0x08);
+        state.doubleHeight = Boolean(n & 0x10);
+        state.doubleWidth = Boolean(n & 0x20);
+      } else if (command === 0x45) { // ESC E n
+        state.bold = Boolean(n & 0x01);
+      } else if (command === 0x61) { // ESC a n
+        state.align = n % 0x30;
+      } else if (command === 0x74) { // ESC t n
+        state.codePage = Object.keys(CODE_PAGES).find(id => CODE_PAGES[id].escPosNumber === n) || state.codePage;
+      } else if (command === 0x64) { // ESC d n: print and feed n lines
+        printLine();
+        y += (n - 1) * (FONT_A_HEIGHT + LINE_SPACING);
+      }
+      i += 3;
+    } else if (byte === GS) {
+      const command = bytes[i + 1];
+      if (command === 0x76 && bytes[i + 2] === 0x30) { // GS v 0 m xL xH yL yH d1...dk
+        const bytesPerRow = bytes[i + 4] | (bytes[i + 5] << 8);
+        const rows = bytes[i + 6] | (bytes[i + 7] << 8);
+        const data = bytes.subarray(i + 8, i + 8 + bytesPerRow * rows);
+        printBitmap({
+          width: bytesPerRow * 8,
+          height: rows,
+          pixel: (x, row) => Boolean(data[row * bytesPerRow + (x >> 3)] & (0x80 >> (x & 7))),
+        });
+        i += 8 + bytesPerRow * rows;
+      } else if (command === 0x28 && bytes[i + 2] === 0x6B) { // GS ( k pL pH cn fn ...
+        const length = bytes[i + 3] | (bytes[i + 4] << 8);
+        const fn = bytes[i + 6];
+        const parameter = bytes[i + 7];
+        if (fn === 0x43) qr.moduleSize = parameter; // Function 167: module size
+        if (fn === 0x45) qr.errorCorrection = { 0x30: 'L', 0x31: 'M', 0x32: 'Q', 0x33: 'H' }[parameter] || 'L'; // Function 169
+        if (fn === 0x50) qr.data = new TextDecoder().decode(bytes.subarray(i + 8, i + 5 + length)); // Function 180: store
+        if (fn === 0x51 && qr.data) { // Function 181: print
+          try {
+            printBitmap(qrBitmap(qr.data, qr.errorCorrection, qr.moduleSize));
+          } catch (err) {
+            console.error('QR code could not be drawn:', err);
+          }
+        }
+        i += 5 + length;
+      } else if (command === 0x6B) { // GS k m n d1...dn (function B)
+        const type = bytes[i + 2];
+        const length = bytes[i + 3];
+        const data = String.fromCharCode(...bytes.subarray(i + 4, i + 4 + length));
+        const canvas = barcodeCanvas(type, data, barcode);
+        if (canvas) {
+          if (line.length > 0) printLine();
+          items.push({ type: 'image', x: alignedX(canvas.width), y, image: canvas });
+          y += canvas.height;
+        }
+        i += 4 + length;
+      } else if (command === 0x56) { // GS V m: cut
+        if (line.length > 0) printLine();
+        y += CUT_MARGIN;
+        items.push({ type: 'cut', y });
+        y += CUT_MARGIN;
+        i += 3;
+      } else {
+        if (command === 0x68) barcode.height = bytes[i + 2]; // GS h n
+        if (command === 0x77) barcode.width = bytes[i + 2]; // GS w n
+        if (command === 0x48) barcode.hri = bytes[i + 2]; // GS H n
+        i += 3; // GS f n and other one-parameter commands
+      }
+    } else {
+      if (byte >= 0x20) addChar(decodeByte(byte, state.codePage));
+      i += 1;
+    }
+  }
+  if (line.length > 0) printLine();
+
+  return { width, height: y, items };
+}
+
+/**
+ * Draws the output of interpretEscPos onto a canvas, one canvas pixel per
+ * printer dot, black on white like the paper.
+ * @param {{width: number, height: number, items: object[]}} printout
+ * @param {HTMLCanvasElement} canvas
+ */
+export function drawPrintout(printout, canvas) {
+  canvas.width = printout.width;
+  canvas.height = Math.max(1, printout.height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000';
+  ctx.textBaseline = 'bottom';
+
+  printout.items.forEach(item => {
+    if (item.type === 'text') {
+      item.chars.forEach(c => {
+        // Characters are drawn at font A/B height and stretched to their cell,
+        // so double width and double height scale like they do on paper
+        ctx.save();
+        ctx.translate(c.x, item.y);
+        ctx.scale(1, c.height / FONT_A_HEIGHT);
+        ctx.font = `${c.bold ? 'bold ' : ''}${FONT_A_HEIGHT}px monospace`;
+        ctx.fillText(c.char, 0, 0, c.width);
+        ctx.restore();
+      });
+    } else if (item.type === 'bitmap') {
+      const image = ctx.createImageData(item.width, item.height);
+      for (let row = 0; row < item.height; row++) {
+        for (let x = 0; x < item.width; x++) {
+          const value = item.pixel(x, row) ? 0 : 255;
+          const index = (row * item.width + x) * 4;
+          image.data[index] = image.data[index + 1] = image.data[index + 2] = value;
+          image.data[index + 3] = 255;
+        }
+      }
+      ctx.putImageData(image, item.x, item.y);
+    } else if (item.type === 'image') {
+      ctx.drawImage(item.image, item.x, item.y);
+    } else if (item.type === 'cut') {
+      ctx.save();
+      ctx.strokeStyle = '#999';
+      ctx.setLineDash([8, 6]);
+      ctx.beginPath();
+      ctx.moveTo(0, item.y);
+      ctx.lineTo(printout.width, item.y);
+      ctx.stroke();
+      ctx.restore();
+    }
+  });
+}
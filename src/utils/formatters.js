@@ -5,4 +5,147 @@ export function formatINR(value) {
   // Check if the parsed number is valid. If not, return an empty string.
   // Otherwise, format it as Indian Rupees.
   return isNaN(number) ? '' : `₹${number.toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
-}
\ No newline at end of file
+}
+
+/**
+ * Formats an item's quantity with its unit, using the unit's decimal places,
+ * and appends the alternate-unit quantity if there is one,
+ * e.g. "5.000 KGS" or "2 BOX (24 PCS)".
+ * @param {object} item A parsed item (qty, unit, qtyDecimals, altQty, altUnit, altQtyDecimals).
+ * @returns {string}
+ */
+export function formatQuantity(item) {
+  const withUnit = (value, decimals, unit) =>
+    [parseFloat(value).toFixed(decimals ?? 2), unit].filter(Boolean).join(' ');
+  const primary = withUnit(item.qty, item.qtyDecimals, item.unit);
+  return item.altQty ? `${primary} (${withUnit(item.altQty, item.altQtyDecimals, item.altUnit)})` : primary;
+}
+
+/**
+ * Describes one batch/godown allocation of an item as a single line of
+ * "Label: value" parts, e.g. "Godown: Main, Batch: B12, Exp: 31-Dec-2026".
+ * @param {object} batch A parsed batch allocation.
+ * @param {boolean} withQuantity Whether to include the batch's own quantity
+ *   (useful when an item is split across several batches).
+ * @returns {string}
+ */
+export function formatBatchDetails(batch, withQuantity) {
+  return [
+    ['Godown', batch.godown],
+    ['Batch', batch.batch],
+    ['Mfg', batch.mfgDate],
+    ['Exp', batch.expiryDate],
+    ['Track No', batch.trackingNumber],
+    ['Qty', withQuantity ? formatQuantity(batch) : '']
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join(', ');
+}
+
+/**
+ * Describes a cheque or other payment instrument on a bank ledger line,
+ * e.g. "Cheque No. 004512, dt 10-05-2026, State Bank of India".
+ * @param {object} instrument A parsed bank allocation (`mode`, `number`, `date`, `bank`).
+ * @returns {string}
+ */
+export function formatInstrument(instrument) {
+  return [
+    `${instrument.mode || 'Instrument'}${instrument.number ? ` No. ${instrument.number}` : ''}`,
+    instrument.date && `dt ${instrument.date}`,
+    instrument.bank
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Formats a company's state and pincode as one header line,
+ * e.g. "Gujarat - 380001".
+ * @param {object} company
+ * @returns {string} The line, or '' if neither is known.
+ */
+export function formatStateLine(company) {
+  return [company.state, company.pincode].filter(Boolean).join(' - ');
+}
+
+/**
+ * Word-wraps text to lines of at most `width` characters.
+ * Words longer than a line are broken across lines.
+ * @param {string} text The text to wrap. Existing line breaks are kept.
+ * @param {number} width Characters per line.
+ * @returns {string[]} The wrapped lines.
+ */
+export function wrapText(text, width) {
+  return String(text).split('\n').flatMap(paragraph => {
+    const lines = [];
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      while (word.length > width) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+      if (!word) return;
+      if (line && line.length + 1 + word.length > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+    return lines;
+  });
+}
+
+/**
+ * Lays out an HSN/SAC summary (see parseTallyXML's `hsnSummary`) as
+ * fixed-width lines that fit a receipt `width` characters wide. Columns are
+ * as wide as their longest value; when a row still doesn't fit on one line,
+ * the tax columns move to a second line.
+ * @param {object} summary The HSN summary.
+ * @param {number} width Characters per line.
+ * @returns {{text: string, bold: boolean}[]} The table rows, header first and totals last.
+ */
+export function formatHsnSummaryLines(summary, width) {
+  const HSN_WIDTH = 8;
+  const taxHead = summary.isInterState ? 'IGST' : 'SGST';
+  const amount = (value) => Number(value).toFixed(2);
+  const rows = [
+    { cells: ['HSN/SAC', 'Taxable', 'CGST', taxHead, 'Tax'], bold: true },
+    ...summary.rows.map(r => ({
+      cells: [r.hsn || '-', amount(r.taxable), amount(r.cgst), amount(summary.isInterState ? r.igst : r.sgst), amount(r.totalTax)],
+      bold: false
+    })),
+    {
+      cells: ['Total', amount(summary.totals.taxable), amount(summary.totals.cgst),
+        amount(summary.isInterState ? summary.totals.igst : summary.totals.sgst), amount(summary.totals.totalTax)],
+      bold: true
+    }
+  ];
+
+  // One line per row: HSN | Taxable | CGST | SGST/IGST | Tax, each amount
+  // column as wide as its longest value, and any spare width shared out
+  const longest = (column) => Math.max(...rows.map(({ cells }) => cells[column].length));
+  const amountWidths = [1, 2, 3, 4].map(longest);
+  const spare = width - HSN_WIDTH - 4 - amountWidths.reduce((sum, w) => sum + w, 0);
+  if (spare >= 0) {
+    const widths = amountWidths.map(w => w + Math.floor(spare / 4));
+    widths[0] += spare % 4;
+    return rows.map(({ cells: [hsn, ...amounts], bold }) => ({
+      text: [hsn.slice(0, HSN_WIDTH).padEnd(HSN_WIDTH), ...amounts.map((a, i) => a.padStart(widths[i]))].join(' '),
+      bold
+    }));
+  }
+
+  // Two lines per row: HSN and taxable value, then the three tax columns
+  const taxWidth = Math.floor((width - 2) / 3);
+  return rows.flatMap(({ cells: [hsn, taxable, ...taxes], bold }) => [
+    { text: hsn.padEnd(width - taxable.length) + taxable, bold },
+    { text: taxes.map(t => t.padStart(taxWidth)).join(' '), bold }
+  ]);
+}
@@ -0,0 +1,42 @@
+// src/utils/printerProfiles.js
+
+/**
+ * Built-in printer profiles. Every width on the receipt comes from the
+ * selected profile:
+ * - `charsPerLineFontA` / `charsPerLineFontB`: columns of normal text in each font
+ *   (double-width text gets half of Font A's)
+ * - `dotWidth`: printable width in dots, for the logo, QR codes and other images
+ * - `dpi`: dots per inch, for sizing images in real units
+ * - `codePage`: the character set the printer is set to (a key of CODE_PAGES)
+ */
+export const PRINTER_PROFILES = {
+  '80mm-42': { name: '80mm, 42 columns', paperWidthMm: 80, charsPerLineFontA: 42, charsPerLineFontB: 56, dotWidth: 512, dpi: 203, codePage: 'CP437' },
+  '80mm': { name: '80mm, 48 columns', paperWidthMm: 80, charsPerLineFontA: 48, charsPerLineFontB: 64, dotWidth: 576, dpi: 203, codePage: 'CP437' },
+  '58mm': { name: '58mm, 32 columns', paperWidthMm: 58, charsPerLineFontA: 32, charsPerLineFontB: 42, dotWidth: 384, dpi: 203, codePage: 'CP437' },
+};
+
+export const CUSTOM_PROFILE_ID = 'custom';
+
+/**
+ * Returns the printer profile the settings select: a built-in one, or the
+ * user's custom profile, with `printerCodePage` (when set) replacing the
+ * profile's code page.
+ * @param {object} settings The print settings (`printerProfileId`, `customPrinterProfile`, `printerCodePage`).
+ * @returns {object} The profile.
+ */
+export function resolvePrinterProfile(settings) {
+  let profile = PRINTER_PROFILES[settings.printerProfileId] || PRINTER_PROFILES['80mm-42'];
+  if (settings.printerProfileId === CUSTOM_PROFILE_ID) {
+    const custom = settings.customPrinterProfile;
+    // Guard against half-typed custom values leaving the receipt with no columns
+    profile = {
+      ...custom,
+      charsPerLineFontA: Math.max(16, parseInt(custom.charsPerLineFontA) || 0),
+      charsPerLineFontB: Math.max(16, parseInt(custom.charsPerLineFontB) || 0),
+      dotWidth: Math.max(128, parseInt(custom.dotWidth) || 0),
+      dpi: parseInt(custom.dpi) || 203,
+      codePage: custom.codePage || 'CP437',
+    };
+  }
+  return settings.printerCodePage ? { ...profile, codePage: settings.printerCodePage } : profile;
+}
@@ -0,0 +1,104 @@
+// src/utils/rasterImage.js
+
+// Tall images are sent as several GS v 0 commands of at most this many dot
+// rows, since some printers' receive buffers overflow on one big image
+export const RASTER_BAND_HEIGHT = 64;
+
+export const DITHERING_METHODS = {
+  threshold: 'None (threshold)',
+  'floyd-steinberg': 'Floyd–Steinberg',
+  atkinson: 'Atkinson',
+  ordered: 'Ordered (Bayer 4x4)',
+};
+
+// Thresholds for ordered dithering, scaled to 0-255
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+].map(row => row.map(value => (value + 0.5) * 16));
+
+// Where error diffusion spreads each pixel's error: [dx, dy, share]
+const DIFFUSION = {
+  'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+  // Atkinson spreads only 6/8 of the error, which keeps logos crisp
+  atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]],
+};
+
+/**
+ * Converts canvas pixels to a 1-bit bitmap, one bit per dot, 1 = print (black).
+ * @param {ImageData} imageData The pixels to convert.
+ * @param {object} [options]
+ * @param {string} [options.dithering='threshold'] A key of DITHERING_METHODS.
+ * @param {number} [options.brightness=0] -100 to 100.
+ * @param {number} [options.contrast=0] -100 to 100.
+ * @param {boolean} [options.invert=false] Print light areas instead of dark ones.
+ * @returns {{width: number, height: number, bytesPerRow: number, data: Uint8Array}} Rows of
+ *   packed bits, most significant bit leftmost.
+ */
+export function toMonochrome(imageData, { dithering = 'threshold', brightness = 0, contrast = 0, invert = false } = {}) {
+  const { data, width, height } = imageData; // RGBA pixel data
+
+  // Luminance of every pixel, with brightness and contrast applied.
+  // Transparent pixels count as white paper.
+  const contrastLevel = Math.max(-254, Math.min(254, contrast * 2.55));
+  const contrastFactor = (259 * (contrastLevel + 255)) / (255 * (259 - contrastLevel));
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const alpha = data[i * 4 + 3] / 255;
+    const luminance = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    const onWhite = luminance * alpha + 255 * (1 - alpha);
+    const adjusted = contrastFactor * (onWhite - 128) + 128 + brightness * 2.55;
+    gray[i] = invert ? 255 - adjusted : adjusted;
+  }
+
+  const bytesPerRow = Math.ceil(width / 8);
+  const bits = new Uint8Array(bytesPerRow * height);
+  const diffusion = DIFFUSION[dithering];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = gray[y * width + x];
+      const threshold = dithering === 'ordered' ? BAYER_4X4[y % 4][x % 4] : 128;
+      const black = value < threshold;
+      if (black) {
+        bits[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+      if (diffusion) {
+        const error = value - (black ? 0 : 255);
+        diffusion.forEach(([dx, dy, share]) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx >= 0 && nx < width && ny < height) gray[ny * width + nx] += error * share;
+        });
+      }
+    }
+  }
+
+  return { width, height, bytesPerRow, data: bits };
+}
+
+/**
+ * Builds the GS v 0 raster commands for a bitmap, in bands of at most
+ * RASTER_BAND_HEIGHT rows.
+ * @param {{height: number, bytesPerRow: number, data: Uint8Array}} bitmap From toMonochrome.
+ * @returns {Uint8Array} The ESC/POS commands.
+ */
+export function rasterBandCommands(bitmap) {
+  const { height, bytesPerRow, data } = bitmap;
+  const HEADER_LENGTH = 8;
+  const bandCount = Math.ceil(height / RASTER_BAND_HEIGHT);
+  const commands = new Uint8Array(bandCount * HEADER_LENGTH + data.length);
+
+  let offset = 0;
+  for (let top = 0; top < height; top += RASTER_BAND_HEIGHT) {
+    const rows = Math.min(RASTER_BAND_HEIGHT, height - top);
+    // GS v 0 m xL xH yL yH d1...dk, with m = 0 (normal density)
+    commands.set([0x1D, 0x76, 0x30, 0x00, bytesPerRow & 0xFF, (bytesPerRow >> 8) & 0xFF, rows & 0xFF, (rows >> 8) & 0xFF], offset);
+    offset += HEADER_LENGTH;
+    commands.set(data.subarray(top * bytesPerRow, (top + rows) * bytesPerRow), offset);
+    offset += rows * bytesPerRow;
+  }
+  return commands;
+}
@@ -0,0 +1,116 @@
+// src/utils/receiptTemplates.js
+
+/**
+ * The receipt's built-in sections, in their default order, with the names
+ * shown in the template editor. Ids match the sections of receiptLayout.js.
+ */
+export const RECEIPT_SECTIONS = [
+  { id: 'logo', label: 'Logo' },
+  { id: 'company', label: 'Company header' },
+  { id: 'heading', label: 'Voucher heading' },
+  { id: 'copyTitle', label: 'Copy title (Original, Duplicate, ...)' },
+  { id: 'orderInfo', label: 'Voucher number, date and user' },
+  { id: 'eInvoice', label: 'E-invoice details and QR' },
+  { id: 'party', label: 'Party details' },
+  { id: 'items', label: 'Items / ledger lines' },
+  { id: 'totals', label: 'Totals' },
+  { id: 'amountInWords', label: 'Amount in words' },
+  { id: 'narration', label: 'Remarks (narration)' },
+  { id: 'terms', label: 'Terms & conditions' },
+  { id: 'hsnSummary', label: 'HSN/SAC summary' },
+  { id: 'upiQr', label: 'UPI payment QR' },
+  { id: 'signatory', label: 'Authorized signatory' },
+  { id: 'barcode', label: 'Voucher number barcode' },
+];
+
+/**
+ * Labels a template can rename, with their default text. The party and total
+ * labels also have per-voucher-type defaults ("RECEIVED FROM:", "TOTAL CREDIT", ...)
+ * that apply until they are renamed.
+ */
+export const RECEIPT_LABELS = {
+  voucherNo: 'Voucher No',
+  date: 'Date',
+  enteredBy: 'Entered By',
+  party: 'PARTY DETAILS:',
+  subTotal: 'Sub Total',
+  total: 'TOTAL',
+  amountInWords: 'Amount in Words:',
+  remarks: 'Remarks:',
+  terms: 'Terms & Conditions:',
+  hsnSummary: 'HSN/SAC Summary',
+  upiQr: 'Scan to pay with UPI',
+};
+
+// Placeholders listed in the editor; any other voucher field path works too
+export const TEXT_PLACEHOLDERS = ['{company.name}', '{party.name}', '{order.number}', '{order.date}', '{totals.total}', '{heading}'];
+
+/**
+ * Creates an empty free-text block for a template.
+ * @returns {object}
+ */
+export function createTextBlock() {
+  return { id: `text-${Date.now()}`, type: 'text', text: '', align: 'center', bold: false, visible: true };
+}
+
+export const DEFAULT_RECEIPT_TEMPLATE = {
+  id: 'standard',
+  name: 'Standard',
+  sections: [
+    ...RECEIPT_SECTIONS.map(({ id }) => ({ id, visible: true })),
+    { id: 'text-thank-you', type: 'text', text: 'Thank you for your business!', align: 'center', bold: false, visible: true },
+  ],
+  labels: {},
+};
+
+/**
+ * Finds the template to print with: the active one, else the first saved one.
+ * @param {object} settings The print settings.
+ * @returns {object} A receipt template.
+ */
+export function resolveReceiptTemplate(settings) {
+  const templates = settings.receiptTemplates || [];
+  return templates.find(template => template.id === settings.activeTemplateId) || templates[0] || DEFAULT_RECEIPT_TEMPLATE;
+}
+
+/**
+ * A template's sections, with any built-in section it doesn't list (one added
+ * after the template was saved) put back after the section it follows by default.
+ * @param {object} template
+ * @returns {object[]} The template's section entries, in print order.
+ */
+export function templateSections(template) {
+  const entries = [...template.sections];
+  RECEIPT_SECTIONS.forEach(({ id }, index) => {
+    if (entries.some(entry => entry.id === id)) return;
+    const previousIndex = index > 0 ? entries.findIndex(entry => entry.id === RECEIPT_SECTIONS[index - 1].id) : -1;
+    entries.splice(previousIndex + 1, 0, { id, visible: true });
+  });
+  return entries;
+}
+
+/**
+ * Replaces placeholders like {party.name} or {order.number} with the
+ * voucher's values. Unknown fields become empty.
+ * @param {string} text
+ * @param {object} voucher A parsed voucher.
+ * @returns {string}
+ */
+export function fillPlaceholders(text, voucher) {
+  return text.replace(/\{([\w.]+)\}/g, (match, path) => {
+    const value = path.split('.').reduce((object, key) => object?.[key], voucher);
+    return typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+  });
+}
+
+/**
+ * The copy settings for the given copy of a print (0 for the first), or null
+ * when copies aren't labelled or the list has fewer entries.
+ * @param {object} settings The print settings.
+ * @param {number} index
+ * @returns {{title: string, hidePrices: boolean, hiddenSections: string[]}|null}
+ */
+export function resolveCopy(settings, index) {
+  if (!settings.copyLabels?.enabled) return null;
+  return settings.copyLabels.copies[index] || null;
+}
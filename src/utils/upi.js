@@ -0,0 +1,33 @@
+// src/utils/upi.js
+
+/**
+ * Builds the `upi://pay` link that UPI apps open when the receipt's payment
+ * QR is scanned, pre-filled with the voucher's total and number.
+ * @param {{vpa: string, payeeName: string}} payee The `upiPayment` settings.
+ * @param {object} voucher A parsed voucher.
+ * @returns {string} The link, or '' if there's no VPA or nothing to pay.
+ */
+export function buildUpiPaymentUri(payee, voucher) {
+  const amount = parseFloat(voucher?.totals?.total);
+  if (!payee?.vpa?.trim() || !(amount > 0)) return '';
+
+  const params = [
+    ['pa', payee.vpa.trim()],
+    ['pn', payee.payeeName.trim()],
+    ['am', amount.toFixed(2)],
+    ['cu', 'INR'],
+    ['tn', voucher.order.number],
+  ].filter(([, value]) => value);
+  // Some UPI apps reject an escaped "@" in the VPA, so it's left as is
+  const encode = (value) => encodeURIComponent(value).replace(/%40/g, '@');
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encode(value)}`).join('&')}`;
+}
+
+/**
+ * Checks that a VPA looks like "name@bank".
+ * @param {string} vpa
+ * @returns {boolean}
+ */
+export function isValidVpa(vpa) {
+  return /^[\w.-]{2,256}@[a-zA-Z][\w.-]{1,63}$/.test(vpa.trim());
+}
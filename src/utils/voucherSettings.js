@@ -0,0 +1,33 @@
+// src/utils/voucherSettings.js
+
+/**
+ * Settings that can differ per voucher type, with the labels shown in
+ * Controls. Each is an ordinary top-level setting (the default for every
+ * type) that `voucherTypeOverrides` can override for a given heading.
+ * Options with `choices` are picked from a list; the rest are on/off.
+ */
+export const VOUCHER_TYPE_OPTIONS = [
+  { name: 'showBatchDetails', label: 'Print batch, godown and expiry under items' },
+  { name: 'showUpiQr', label: 'Print UPI payment QR code' },
+  {
+    name: 'itemLayout',
+    label: 'Item layout',
+    choices: {
+      detailed: 'Detailed (name, then qty @ rate = amount)',
+      compact: 'One line per item: item, qty, rate, amount',
+      noRate: 'One line per item without rate: item, qty, amount',
+    },
+  },
+];
+
+/**
+ * Applies the per-voucher-type overrides for a voucher's heading
+ * (e.g. "MATERIAL CHALLAN") on top of the general settings.
+ * @param {object} settings The print settings.
+ * @param {object} voucher A parsed voucher.
+ * @returns {object} The settings to print this voucher with.
+ */
+export function resolveVoucherSettings(settings, voucher) {
+  const overrides = settings.voucherTypeOverrides?.[voucher?.heading];
+  return overrides ? { ...settings, ...overrides } : settings;
+}
@@ -0,0 +1,90 @@
+// src/utils/xmlEncoding.js
+
+// Encoding names from XML declarations, mapped to TextDecoder labels
+const DECLARED_ENCODINGS = {
+  'utf-8': 'utf-8',
+  'utf8': 'utf-8',
+  'utf-16': 'utf-16le', // Tally writes little-endian; a BOM (checked first) overrides this
+  'utf-16le': 'utf-16le',
+  'utf-16be': 'utf-16be',
+  'unicode': 'utf-16le',
+  'windows-1252': 'windows-1252',
+  'cp1252': 'windows-1252',
+  'iso-8859-1': 'windows-1252',
+  'latin1': 'windows-1252',
+  'ascii': 'windows-1252',
+  'us-ascii': 'windows-1252',
+};
+
+/**
+ * Works out the encoding of an XML file from its byte order mark, the
+ * byte pattern of its first "<", or its `<?xml encoding="..."?>` declaration.
+ * @param {Uint8Array} bytes The file contents.
+ * @returns {string} A TextDecoder label.
+ */
+function detectEncoding(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+  // UTF-16 without a BOM: "<" is 3C 00 (LE) or 00 3C (BE)
+  if (bytes[0] === 0x3C && bytes[1] === 0x00) return 'utf-16le';
+  if (bytes[0] === 0x00 && bytes[1] === 0x3C) return 'utf-16be';
+
+  // The declaration itself is plain ASCII, so reading it byte-wise is safe
+  const head = String.fromCharCode(...bytes.subarray(0, 200));
+  const declared = head.match(/<\?xml[^>]*encoding\s*=\s*["']([^"']+)["']/i)?.[1]?.toLowerCase();
+  return DECLARED_ENCODINGS[declared] || 'utf-8';
+}
+
+/**
+ * Decodes the raw bytes of a Tally XML export to text.
+ * Handles UTF-8, UTF-16 LE/BE (with or without BOM) and windows-1252.
+ * Files that claim UTF-8 but aren't valid UTF-8 are read as windows-1252.
+ * @param {ArrayBuffer} buffer The file contents.
+ * @returns {{text: string, encoding: string}} The decoded text and the encoding used.
+ */
+export function decodeXmlBuffer(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const encoding = detectEncoding(bytes);
+
+  if (encoding === 'utf-8') {
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding };
+    } catch {
+      return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+    }
+  }
+  return { text: new TextDecoder(encoding).decode(bytes), encoding };
+}
+
+// True for code points that XML 1.0 forbids, even as character references
+const isInvalidXmlChar = (code) =>
+  (code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0D) ||
+  (code >= 0xD800 && code <= 0xDFFF) ||
+  code === 0xFFFE || code === 0xFFFF || code > 0x10FFFF;
+
+// Raw characters XML 1.0 forbids, as [from, to] code point ranges: the C0
+// controls other than tab, LF and CR, and the noncharacters U+FFFE/U+FFFF
+const INVALID_RAW_CHAR_RANGES = [[0x00, 0x08], [0x0B, 0x0C], [0x0E, 0x1F], [0xFFFE, 0xFFFF]];
+const unicodeEscape = (code) => `\\u${code.toString(16).padStart(4, '0')}`;
+const INVALID_RAW_CHARS = new RegExp(
+  `[${INVALID_RAW_CHAR_RANGES.map(([from, to]) => `${unicodeEscape(from)}-${unicodeEscape(to)}`).join('')}]`,
+  'g'
+);
+
+/**
+ * Removes the control characters Tally writes into exports (most often
+ * `&#4;`, but any of `&#1;`–`&#31;` in decimal or hex) which make the
+ * XML unparseable, along with raw control characters.
+ * @param {string} xmlString The decoded XML.
+ * @returns {string} The XML with invalid characters removed.
+ */
+export function stripInvalidXmlChars(xmlString) {
+  return xmlString
+    .replace(/&#(x[0-9a-f]+|\d+);/gi, (entity, ref) => {
+      const code = ref[0].toLowerCase() === 'x' ? parseInt(ref.slice(1), 16) : parseInt(ref, 10);
+      return isInvalidXmlChar(code) ? '' : entity;
+    })
+    .replace(INVALID_RAW_CHARS, '');
+}
@@ -0,0 +1,139 @@
+// tally-proxy-server.js
+// Relays "Fetch from Tally" requests from the browser to Tally's XML HTTP
+// interface. Browsers can't call Tally directly because it sends no CORS headers.
+//
+//   node tally-proxy-server.js
+//
+// The proxy listens on 127.0.0.1 only, answers only the app's own origins and
+// relays only to the configured Tally; everything else gets 403. Environment:
+//   TALLY_HOST, TALLY_PORT      Tally's XML HTTP server (default localhost:9000)
+//   TALLY_ALLOWED_TARGETS       Further host:port pairs the app may choose, comma-separated
+//   TALLY_PROXY_ORIGINS         Origins allowed to call the proxy, comma-separated
+//                               (default the Vite dev server, http://localhost:5000)
+//   TALLY_PROXY_PORT            Port to listen on (default 3002)
+//
+// Run mock-tally-server.js in place of Tally to work offline.
+const http = require('http');
+
+const PROXY_HOST = '127.0.0.1';
+const PROXY_PORT = parseInt(process.env.TALLY_PROXY_PORT, 10) || 3002;
+const DEFAULT_TALLY_HOST = process.env.TALLY_HOST || 'localhost';
+const DEFAULT_TALLY_PORT = parseInt(process.env.TALLY_PORT, 10) || 9000;
+const TALLY_TIMEOUT_MS = 30000; // Large day books can take a while to export
+
+const listFromEnv = (value, fallback) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : fallback);
+
+const ALLOWED_ORIGINS = listFromEnv(process.env.TALLY_PROXY_ORIGINS, ['http://localhost:5000', 'http://127.0.0.1:5000']);
+
+// Tally on this machine answers on both names, so allow either for the default target
+const targetKey = (host, port) => `${host.toLowerCase()}:${port}`;
+const ALLOWED_TARGETS = new Set([
+    targetKey(DEFAULT_TALLY_HOST, DEFAULT_TALLY_PORT),
+    ...(['localhost', '127.0.0.1'].includes(DEFAULT_TALLY_HOST)
+        ? [targetKey('localhost', DEFAULT_TALLY_PORT), targetKey('127.0.0.1', DEFAULT_TALLY_PORT)]
+        : []),
+    ...listFromEnv(process.env.TALLY_ALLOWED_TARGETS, []).map((target) => target.toLowerCase()),
+]);
+
+// CORS headers for the request's origin; only allowed origins are named
+function corsHeaders(req) {
+    const origin = req.headers.origin;
+    return {
+        ...(ALLOWED_ORIGINS.includes(origin) ? { 'Access-Control-Allow-Origin': origin } : {}),
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Tally-Host, X-Tally-Port',
+        Vary: 'Origin',
+    };
+}
+
+function sendText(req, res, status, text) {
+    res.writeHead(status, { ...corsHeaders(req), 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(text);
+}
+
+// Forwards the request body to Tally and pipes Tally's response back untouched
+function relayToTally(req, res, body) {
+    const host = req.headers['x-tally-host'] || DEFAULT_TALLY_HOST;
+    const port = parseInt(req.headers['x-tally-port'], 10) || DEFAULT_TALLY_PORT;
+
+    if (!ALLOWED_TARGETS.has(targetKey(host, port))) {
+        console.warn(`Refused to relay to ${host}:${port}`);
+        sendText(req, res, 403, `Tally at ${host}:${port} is not an allowed target. Set TALLY_HOST/TALLY_PORT or TALLY_ALLOWED_TARGETS when starting the proxy.`);
+        return;
+    }
+
+    console.log(`Relaying ${body.length} byte request to Tally at ${host}:${port}`);
+
+    const tallyReq = http.request({
+        host,
+        port,
+        method: 'POST',
+        path: '/',
+        headers: {
+            'Content-Type': req.headers['content-type'] || 'text/xml',
+            'Content-Length': body.length,
+        },
+        timeout: TALLY_TIMEOUT_MS,
+    }, (tallyRes) => {
+        res.writeHead(tallyRes.statusCode, {
+            ...corsHeaders(req),
+            'Content-Type': tallyRes.headers['content-type'] || 'text/xml',
+        });
+        tallyRes.pipe(res);
+    });
+
+    tallyReq.on('timeout', () => {
+        tallyReq.destroy(new Error('timeout'));
+    });
+
+    tallyReq.on('error', (err) => {
+        console.error('Tally request failed:', err.message);
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        if (err.message === 'timeout') {
+            sendText(req, res, 504, `Tally at ${host}:${port} did not respond within ${TALLY_TIMEOUT_MS / 1000} seconds.`);
+        } else {
+            sendText(req, res, 502, `Could not reach Tally at ${host}:${port} (${err.code || err.message}). Is Tally running with its HTTP server enabled?`);
+        }
+    });
+
+    tallyReq.end(body);
+}
+
+const server = http.createServer((req, res) => {
+    // Requests without an Origin come from local tools such as curl, not web pages
+    if (req.headers.origin && !ALLOWED_ORIGINS.includes(req.headers.origin)) {
+        sendText(req, res, 403, `Origin ${req.headers.origin} may not use the Tally proxy. Add it to TALLY_PROXY_ORIGINS.`);
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders(req));
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/tally') {
+        sendText(req, res, 404, 'Not found. POST Tally XML requests to /tally.');
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        if (body.length === 0) {
+            sendText(req, res, 400, 'No Tally request provided.');
+            return;
+        }
+        relayToTally(req, res, body);
+    });
+});
+
+server.listen(PROXY_PORT, PROXY_HOST, () => {
+    console.log(`Tally proxy listening on ${PROXY_HOST}:${PROXY_PORT}`);
+    console.log(`Default Tally target: ${DEFAULT_TALLY_HOST}:${DEFAULT_TALLY_PORT}`);
+    console.log(`Allowed origins: ${ALLOWED_ORIGINS.join(', ')}`);
+});